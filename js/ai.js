@@ -0,0 +1,203 @@
+import * as utils from "./utils.js";
+import { Dice, simulate } from "./dice.js";
+
+/**
+ * Decides which dice a computer player uses. Subclasses override {@link selectDice} and {@link draftDice}.
+ */
+export class Strategy {
+  static type = "none";
+
+  /**
+   * @param {import("./player.js").Player} player Player making the decision
+   * @param {string} action "hide" or "reroll"
+   * @param {Dice[]} selectable Dices that can be selected
+   * @returns {Dice | null} Selected dice, or `null` to pass
+   */
+  selectDice(player, action, selectable) {
+    return null;
+  }
+
+  /**
+   * @param {import("./player.js").Player} player Player making the decision
+   * @param {string} action "pick" or "ban". See {@link import("./draft.js").Draft.actions}.
+   * @param {Dice[]} available Entries of `configs.all` that can be chosen
+   * @returns {Dice} Chosen entry. Passing isn't allowed in drafts.
+   */
+  draftDice(player, action, available) {
+    return available[0];
+  }
+
+  toJSON() {
+    return this.constructor.type;
+  }
+}
+
+export class RandomStrategy extends Strategy {
+  static type = "random";
+
+  selectDice(player, action, selectable) {
+    return selectable.length > 0 ? utils.getRandomElement(selectable) : null;
+  }
+
+  draftDice(player, action, available) {
+    return utils.getRandomElement(available);
+  }
+}
+
+/**
+ * Picks the dice whose action gives the best immediate result, or passes if none improves the position.
+ */
+export class GreedyStrategy extends Strategy {
+  static type = "greedy";
+
+  /**
+   * @param {number} samples How many times each choice is simulated. Results are averaged.
+   */
+  constructor(samples = 4) {
+    super();
+    this.samples = samples;
+  }
+
+  selectDice(player, action, selectable) {
+    let best = null;
+    let bestScore = this.evaluate(player, action, null);
+    for (const dice of selectable) {
+      const score = this.evaluate(player, action, dice);
+      if (score > bestScore) {
+        best = dice;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Picks the best rated dice, and bans it so that the opponents can't pick it.
+   */
+  draftDice(player, action, available) {
+    return available.reduce((best, dice) => (rateDice(dice) > rateDice(best) ? dice : best));
+  }
+
+  /**
+   * @param {import("./player.js").Player} player
+   * @param {string} action
+   * @param {Dice | null} dice Dice to use, or `null` to evaluate passing
+   * @returns Average score of the position after `action`
+   */
+  evaluate(player, action, dice) {
+    let total = 0;
+    for (let i = 0; i < this.samples; i++) {
+      total += simulate(() => {
+        performAction(action, dice);
+        return this.evaluateAfter(player, action);
+      }, getSampleSeed(i));
+    }
+    return total / this.samples;
+  }
+
+  /**
+   * Scores the simulated position right after the action has been performed.
+   * @param {import("./player.js").Player} player
+   * @param {string} action
+   */
+  evaluateAfter(player, action) {
+    return scorePosition(player);
+  }
+}
+
+/**
+ * Like {@link GreedyStrategy}, but also simulates how the other players (allies included) would respond in the same
+ * phase.
+ */
+export class LookaheadStrategy extends GreedyStrategy {
+  static type = "lookahead";
+
+  constructor(samples = 8) {
+    super(samples);
+    /** Used to predict the opponents' responses */
+    this.opponentModel = new GreedyStrategy(2);
+  }
+
+  evaluateAfter(player, action) {
+    for (let other = player.nextPlayer; other && other !== player; other = other.nextPlayer) {
+      const response = this.opponentModel.selectDice(other, action, other.getSelectableDices(action));
+      performAction(action, response);
+    }
+    return scorePosition(player);
+  }
+}
+
+const strategies = {
+  [RandomStrategy.type]: RandomStrategy,
+  [GreedyStrategy.type]: GreedyStrategy,
+  [LookaheadStrategy.type]: LookaheadStrategy,
+};
+
+/**
+ * @param {string} type "random", "greedy" or "lookahead"
+ * @returns {Strategy} New strategy of given type. Falls back to random.
+ */
+export function createStrategy(type) {
+  const StrategyClass = strategies[type] ?? RandomStrategy;
+  return new StrategyClass();
+}
+
+/**
+ * @returns Names of the available strategies, from the easiest to the hardest
+ */
+export function getStrategyTypes() {
+  return Object.keys(strategies);
+}
+
+/**
+ * @param {string} action
+ * @param {Dice | null} dice
+ */
+function performAction(action, dice) {
+  if (!dice) return;
+  if (action === "hide") {
+    dice.hide();
+  } else if (action === "reroll") {
+    dice.reroll();
+  } else if (action === "roll") {
+    dice.roll();
+  }
+}
+
+/**
+ * Derives the seed of a sample from the game's generator without drawing from it,
+ * so that the decision is reproducible and the match's rolls stay the same.
+ * @param {number} index
+ */
+function getSampleSeed(index) {
+  return (utils.getRandomState().state + Math.imul(index + 1, 0x9e3779b9)) >>> 0;
+}
+
+/**
+ * Rough worth of a dice before a match, for drafting: its expected outcome plus a bonus for each ability.
+ * @param {Dice} dice
+ */
+export function rateDice(dice) {
+  const abilities = Object.values(dice.listeners).reduce((count, listeners) => count + Object.keys(listeners).length, 0);
+  return dice.getExpectedValue() + 2 * abilities;
+}
+
+/**
+ * @param {import("./player.js").Player} player
+ * @returns Sum of the outcomes of the player's remaining dices
+ */
+function sumOutcomes(player) {
+  return player.dices.filter((dice) => !dice.isDestroyed).reduce((sum, dice) => sum + (dice.value ?? 0), 0);
+}
+
+/**
+ * @param {import("./player.js").Player} player
+ * @returns Sum of the outcomes of the player's team minus the sums of the opponents'
+ */
+export function scorePosition(player) {
+  let score = sumOutcomes(player);
+  for (let other = player.nextPlayer; other && other !== player; other = other.nextPlayer) {
+    score += player.isAllyOf(other) ? sumOutcomes(other) : -sumOutcomes(other);
+  }
+  return score;
+}
@@ -0,0 +1,199 @@
+import * as logger from "./logger.js";
+import * as messages from "./messages.js";
+import { Dice } from "./dice.js";
+import { players } from "./player.js";
+import { clamp } from "./utils.js";
+
+/**
+ * Sound effects of the page, played with Howler (loaded by index.html as the global `Howl` and `Howler`).
+ * Cues are registered in a manifest (data/sounds.json) and played when messages of the game are published, so the
+ * game logic knows nothing about sounds. Without Howler, e.g. in Node, nothing is played.
+ */
+
+/** Every cue belongs to a category, whose volume can be set separately */
+export const categories = { dice: "dice", ability: "ability", match: "match" };
+
+/**
+ * Cues played when no dice supplies its own, by event type (see {@link Dice.events}) or "ability".
+ * Dices supply their own cues with the `sounds` of their definitions.
+ */
+export const defaultCues = {
+  [Dice.events.roll]: "roll",
+  [Dice.events.reroll]: "reroll",
+  [Dice.events.hide]: "hide",
+  [Dice.events.destroy]: "destroy",
+  ability: "ability",
+  victory: "victory",
+  defeat: "defeat",
+};
+
+/** A chain of abilities can request many cues on the same frame. Only this many of them are played. */
+export let maxCuesPerFrame = 3;
+/** Cues requested while this many are still playing are dropped */
+export let maxPlaying = 8;
+
+/**
+ * @typedef {Object} Cue
+ * @property {string[]} src Files of the cue, in order of preference. Relative to index.html.
+ * @property {string} category See {@link categories}
+ * @property {number} [volume] From 0 to 1, multiplied by the volume of the category. Defaults to 1.
+ */
+/** @type {Object<string, Cue>} */
+const manifest = {};
+/** @type {Object<string, Howl>} Created when their cue is first played */
+const howls = {};
+/** Names of the cues requested since the last update */
+const queue = [];
+let playing = 0;
+let isMuted = false;
+const volumes = Object.fromEntries(Object.values(categories).map((category) => [category, 1]));
+/** @type {Function[]} */
+const unsubscribes = [];
+
+const hasHowler = () => typeof Howl !== "undefined";
+
+/**
+ * Adds cues to the manifest, replacing those of the same names.
+ * @param {Object<string, Cue>} cues
+ */
+export function register(cues) {
+  for (const [name, cue] of Object.entries(cues)) {
+    if (!Object.values(categories).includes(cue.category)) {
+      logger.error(logger.channels.ui, `The sound cue "${name}" has an invalid category "${cue.category}"`);
+      continue;
+    }
+    manifest[name] = { volume: 1, ...cue };
+    howls[name]?.unload();
+    delete howls[name];
+  }
+}
+
+/**
+ * Loads a manifest of cues. Works both in browsers and in Node.
+ * @param {string | URL} url Defaults to data/sounds.json
+ */
+export async function loadManifest(url = new URL("../data/sounds.json", import.meta.url)) {
+  if (typeof window === "undefined") {
+    const { readFile } = await import("node:fs/promises");
+    register(JSON.parse(await readFile(url, "utf8")));
+    return;
+  }
+  const response = await fetch(url);
+  register(await response.json());
+}
+
+/**
+ * Loads the manifest and plays cues for the messages of the game.
+ */
+export async function setupAudio() {
+  unsubscribes.splice(0).forEach((unsubscribe) => unsubscribe());
+  unsubscribes.push(
+    messages.subscribe(messages.kinds.event, (message) => {
+      if (message.isCancelled) return;
+      play(message.data.dice?.sounds?.[message.type] ?? defaultCues[message.type]);
+    }),
+    messages.subscribe(messages.kinds.ability, (message) =>
+      play(message.source?.sounds?.ability ?? defaultCues.ability)
+    ),
+    messages.subscribe(messages.kinds.match, (message) => {
+      if (message.change !== "end") return;
+      // Allies of the human player share their victory. Matches without a human player always end with a victory.
+      const human = players.find((player) => player.isHuman());
+      const hasWon = !human || message.players.some((player) => player.isAllyOf(human));
+      play(hasWon ? defaultCues.victory : defaultCues.defeat);
+    })
+  );
+  try {
+    await loadManifest();
+  } catch (e) {
+    logger.error(logger.channels.ui, `Failed to load the sound manifest: ${e.message}`);
+  }
+}
+
+/**
+ * Requests a cue. It's played on the next update, unless too many cues are requested on the same frame.
+ * @param {string} name Name of a cue in the manifest
+ */
+export function play(name) {
+  if (name === undefined || isMuted || !manifest[name]) return;
+  if (!queue.includes(name)) queue.push(name);
+}
+
+/**
+ * Plays the cues requested since the last update. Called by the game loop every frame.
+ */
+export function update() {
+  const names = queue.splice(0, maxCuesPerFrame);
+  queue.length = 0;
+  if (!hasHowler()) return;
+  for (const name of names) {
+    if (playing >= maxPlaying) break;
+    const cue = manifest[name];
+    const howl = getHowl(name);
+    const id = howl.play();
+    howl.volume(cue.volume * volumes[cue.category], id);
+    playing++;
+    // Only one of them happens to a played sound, the handlers of the others would pile up on the cached howl
+    const events = ["end", "stop", "playerror"];
+    const release = () => {
+      playing--;
+      events.forEach((event) => howl.off(event, release, id));
+      howl.off("loaderror", release);
+    };
+    events.forEach((event) => howl.once(event, release, id));
+    howl.once("loaderror", release);
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {Howl}
+ */
+function getHowl(name) {
+  if (!howls[name]) {
+    howls[name] = new Howl({
+      src: manifest[name].src,
+      onloaderror: (id, error) => logger.warn(logger.channels.ui, `Failed to load the sound cue "${name}": ${error}`),
+    });
+  }
+  return howls[name];
+}
+
+/**
+ * @param {string} category See {@link categories}
+ * @param {number} volume From 0 to 1. Applies to cues played afterwards.
+ */
+export function setVolume(category, volume) {
+  if (!(category in volumes)) return;
+  volumes[category] = clamp(volume, 0, 1);
+}
+
+/**
+ * @param {string} category See {@link categories}
+ */
+export function getVolume(category) {
+  return volumes[category];
+}
+
+/**
+ * Muting also silences the cues being played.
+ * @param {boolean} value
+ */
+export function setMuted(value) {
+  isMuted = value;
+  queue.length = 0;
+  if (hasHowler()) Howler.mute(value);
+}
+
+export function getMuted() {
+  return isMuted;
+}
+
+/**
+ * @param {number} perFrame See {@link maxCuesPerFrame}
+ * @param {number} simultaneous See {@link maxPlaying}
+ */
+export function setLimits(perFrame = maxCuesPerFrame, simultaneous = maxPlaying) {
+  maxCuesPerFrame = perFrame;
+  maxPlaying = simultaneous;
+}
@@ -0,0 +1,285 @@
+/** @typedef {import("./player.js").Player} Player */
+import { Dice } from "./dice.js";
+import { Modifier } from "./modifier.js";
+import * as messages from "./messages.js";
+import { setInnerHTML } from "./utils.js";
+import * as tween from "./tween.js";
+import * as i18n from "./i18n.js";
+
+/**
+ * @param {Dice} dice
+ * @returns Outcomes of a roll of the dice with their chances, e.g. "1 (33%), 3 (33%), skull (17%)"
+ */
+export function describeFaces(dice) {
+  return dice
+    .getDistribution()
+    .map(({ value, symbol, probability }) => {
+      const outcome = symbol ? i18n.t(`symbols.${symbol}`) : `${value}`;
+      return `${outcome} (${Math.round(probability * 100)}%)`;
+    })
+    .join(", ");
+}
+
+/**
+ * Shows one dice and keeps it up to date. States are exposed as data attributes (e.g. `data-hidden`) for styling.
+ */
+class DiceView {
+  /**
+   * @param {Dice} dice
+   * @param {() => void} onClick
+   */
+  constructor(dice, onClick) {
+    this.dice = dice;
+    this.element = document.createElement(
+      "li",
+      { class: "dice", ["data-uuid"]: dice.uuid, ["data-type"]: dice.type.toLowerCase() },
+      {
+        innerHTML:
+          `<span class="dice-name">${dice.name}</span><span class="dice-value">?</span>` +
+          `<span class="dice-range"></span><span class="dice-statuses"></span>`,
+      }
+    );
+    this.element.addEventListener("click", onClick);
+    this.valueElement = this.element.querySelector(".dice-value");
+    this.rangeElement = this.element.querySelector(".dice-range");
+    this.statusesElement = this.element.querySelector(".dice-statuses");
+    /** Shown instead of the value of the dice while it's animated */
+    this.displayValue = null;
+    /** Description of the faces in the title, see {@link getFacesText} */
+    this.facesText = "";
+    /** What the description of the faces depends on, when it was last built */
+    this.facesKey = null;
+  }
+
+  /**
+   * Computing the distribution of the outcomes takes a while for dices with weighted faces or several throws, so the
+   * description is only rebuilt when something it depends on changes.
+   * @returns Description of the faces of the dice, with their chances
+   */
+  getFacesText() {
+    const dice = this.dice;
+    const key = JSON.stringify([
+      dice.faces,
+      dice.getRollOptions(),
+      dice.minValue,
+      dice.maxValue,
+      dice.getBuff(),
+      i18n.getLocale(),
+    ]);
+    if (key !== this.facesKey) {
+      this.facesKey = key;
+      this.facesText = i18n.t("board.faces", { faces: describeFaces(dice) });
+    }
+    return this.facesText;
+  }
+
+  /**
+   * @param {Object} state
+   * @param {boolean} state.isSecret Whether the outcome is hidden from the human player
+   * @param {boolean} state.isSelected
+   * @param {boolean} state.isSelectable Whether the human player can select the dice right now
+   */
+  update({ isSecret, isSelected, isSelectable }) {
+    const dice = this.dice;
+    const value = this.displayValue ?? dice.value;
+    // The symbol of the face showing, once it's settled
+    const symbol =
+      dice.symbol && this.displayValue === null ? `<small>${i18n.t(`symbols.${dice.symbol}`)}</small>` : "";
+    setInnerHTML(this.valueElement, value === null || isSecret ? "?" : `${value}${symbol}`);
+    setInnerHTML(this.rangeElement, `${dice.minValue}-${dice.maxValue}`);
+    setInnerHTML(
+      this.statusesElement,
+      dice.statusEffects
+        .map((effect) => {
+          const unit = i18n.t(`units.short.${effect.unit}`);
+          const duration = effect.duration === Infinity ? "" : ` ${effect.duration}${unit}`;
+          return `<span data-status="${effect.type}">${i18n.t(`statuses.${effect.type}`)}${duration}</span>`;
+        })
+        .join("")
+    );
+
+    const explanation = isSecret
+      ? ""
+      : `\n${i18n.t("board.value", { explanation: dice.explain(Modifier.stats.value) })}`;
+    const title = `${dice.name} (${dice.type})\n${dice.getDescription() ?? ""}\n${this.getFacesText()}${explanation}`;
+    if (this.element.title !== title) this.element.title = title;
+
+    this.element.setData("hidden", dice.isHidden);
+    this.element.setData("disabled", dice.isDisabled);
+    this.element.setData("destroyed", dice.isDestroyed);
+    this.element.setData("selected", isSelected);
+    this.element.setData("selectable", isSelectable);
+  }
+
+  /**
+   * Flicks through random faces of the dice before showing its outcome. If abilities have changed the value since,
+   * it then counts from the outcome to the value.
+   * @param {number} outcome Outcome of the roll, before "after" listeners
+   * @param {number} duration In seconds
+   */
+  animateRoll(outcome, duration = 0.6) {
+    const values = this.dice.getFaces().map((face) => (face.symbol ? i18n.t(`symbols.${face.symbol}`) : face.value));
+    let flicks = -1;
+    tween.start({
+      key: `${this.dice.uuid}:value`,
+      duration: duration,
+      easing: "easeOutCubic",
+      onUpdate: (progress) => {
+        // The flicks slow down as the dice settles. Randomness of the page must not use the seeded generator.
+        const flick = Math.floor(progress * 8);
+        if (flick === flicks) return;
+        flicks = flick;
+        this.displayValue = values[Math.floor(Math.random() * values.length)];
+      },
+      onComplete: () => {
+        this.displayValue = null;
+        if (outcome !== this.dice.value) this.animateValue(outcome);
+      },
+    });
+  }
+
+  /**
+   * Counts from the previous value to the current one.
+   * @param {number} from
+   * @param {number} duration In seconds
+   */
+  animateValue(from, duration = 0.5) {
+    tween.start({
+      key: `${this.dice.uuid}:value`,
+      from: from,
+      to: this.dice.value,
+      duration: duration,
+      onUpdate: (value) => (this.displayValue = Math.round(value)),
+      onComplete: () => (this.displayValue = null),
+    });
+  }
+
+  /**
+   * Fades the dice out, then lets the style of destroyed dices take over.
+   * @param {number} duration In seconds
+   */
+  animateDestroy(duration = 0.8) {
+    tween.start({
+      key: `${this.dice.uuid}:opacity`,
+      from: 1,
+      to: 0.3,
+      duration: duration,
+      easing: "easeInQuad",
+      onUpdate: (opacity) => (this.element.style.opacity = `${opacity}`),
+      onComplete: () => (this.element.style.opacity = ""),
+    });
+  }
+}
+
+/**
+ * Renders the dices of every player: the human player's team in one area and the other players in another.
+ * The board is rebuilt by itself whenever the players or their dices change (e.g. a new match, a loaded game or the
+ * end of a draft).
+ */
+export class Board {
+  /**
+   * @param {HTMLElement} friendlyArea Dices of the human player and their allies
+   * @param {HTMLElement} enemyArea Dices of the other players
+   * @param {(player: Player, dice: Dice) => void} onSelect Called when the human player clicks one of their dices
+   */
+  constructor(friendlyArea, enemyArea, onSelect) {
+    this.friendlyArea = friendlyArea;
+    this.enemyArea = enemyArea;
+    this.onSelect = onSelect;
+    /** @type {Map<Dice, DiceView>} */
+    this.views = new Map();
+    /** @type {Map<Player, HTMLElement>} Name and score of every player */
+    this.labels = new Map();
+    /** Identifies the rendered players and dices */
+    this.layout = "";
+  }
+
+  /**
+   * @param {Player[]} players
+   */
+  getLayout(players) {
+    return players.map((player) => `${player.controller}:${player.dices.map((dice) => dice.uuid).join(",")}`).join("|");
+  }
+
+  /**
+   * @param {Player[]} players
+   */
+  render(players) {
+    this.friendlyArea.innerHTML = "";
+    this.enemyArea.innerHTML = "";
+    this.views.clear();
+    this.labels.clear();
+    this.layout = this.getLayout(players);
+
+    const human = players.find((player) => player.isHuman());
+    for (const player of players) {
+      const section = document.createElement("div", { class: "player-board", ["data-owner"]: player.name });
+      const label = section.appendChild(document.createElement("p", { class: "player-name" }));
+      const list = section.appendChild(document.createElement("ol"));
+      for (const dice of player.dices) {
+        const view = new DiceView(dice, () => {
+          if (player.isHuman()) this.onSelect(player, dice);
+        });
+        list.appendChild(view.element);
+        this.views.set(dice, view);
+      }
+      this.labels.set(player, label);
+      // The dices of the human's team are at the bottom
+      (human?.isAllyOf(player) ? this.friendlyArea : this.enemyArea).appendChild(section);
+    }
+  }
+
+  /**
+   * Animates what has just happened to the dices, e.g. rolls and destructions. See messages.js.
+   * @param {{kind: string}} message Message of the `event` or `modify` kind
+   */
+  animate(message) {
+    if (message.kind === messages.kinds.modify) {
+      if (message.stat === Modifier.stats.value && message.before !== null && message.after !== null) {
+        this.views.get(message.target)?.animateValue(message.before);
+      }
+      return;
+    }
+    if (message.kind !== messages.kinds.event || message.isCancelled) return;
+    const view = this.views.get(message.data.dice);
+    switch (message.type) {
+      case Dice.events.roll:
+      case Dice.events.reroll:
+        // Changes of abilities reacting to the roll are published before it, and replaced by its animation
+        view?.animateRoll(message.data.outcome);
+        break;
+      case Dice.events.destroy:
+        view?.animateDestroy();
+        break;
+    }
+  }
+
+  /**
+   * @param {Player[]} players
+   * @param {import("./match.js").Match | null} match
+   */
+  update(players, match) {
+    // Loaded games have the same dices, but new players
+    if (this.getLayout(players) !== this.layout || players.some((player) => !this.labels.has(player))) {
+      this.render(players);
+    }
+
+    const human = players.find((player) => player.isHuman());
+    for (const player of players) {
+      const label = this.labels.get(player);
+      const points = i18n.t("points", { count: player.score });
+      setInnerHTML(label, i18n.t("board.label", { player: player.name, points: points }));
+      label?.setData("current", match?.currentPlayer === player && !match.isOver);
+
+      const selectable = match?.isWaitingFor(player) && player === human ? player.getSelectableDices(match.phase) : [];
+      for (const dice of player.dices) {
+        this.views.get(dice)?.update({
+          // Opponents' hidden dices keep their outcome secret
+          isSecret: dice.isHidden && !human?.isAllyOf(player),
+          isSelected: player.pendingSelection === dice,
+          isSelectable: selectable.includes(dice),
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,311 @@
+import * as messages from "./messages.js";
+import { Dice } from "./dice.js";
+import { StatusEffect } from "./status.js";
+import { Match } from "./match.js";
+import * as i18n from "./i18n.js";
+
+/**
+ * Keeps the whole history of a match as readable entries, unlike infos which fade out. Entries are written in the
+ * locale of the moment they are logged.
+ * Entries are built from the messages of the game (see messages.js) and only hold plain data, so the log can be saved
+ * and exported as it is.
+ */
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {number} turn Number of turns taken by the match when it happened
+ * @property {number} round
+ * @property {string} phase
+ * @property {string} kind See {@link messages.kinds}
+ * @property {string} type Event type of the entry (e.g. "roll" for an ability triggered by a roll), or its kind
+ * @property {string[]} players Names of the players involved
+ * @property {string[]} dices UUIDs of the dices involved
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} LogFilter Entries match a filter if they match every given property
+ * @property {string} [player] Name of a player
+ * @property {string} [dice] UUID of a dice
+ * @property {string} [type] See {@link LogEntry}
+ */
+
+/**
+ * @param {Dice} dice
+ */
+function label(dice) {
+  return dice.owner ? `${dice.name} (${dice.owner.name})` : dice.name;
+}
+
+/**
+ * @param {...(Dice | null | undefined)} dices
+ * @returns {Dice[]} The given dices without duplicates
+ */
+function collectDices(...dices) {
+  return [...new Set(dices.filter((dice) => dice instanceof Dice))];
+}
+
+export class CombatLog {
+  /**
+   * @param {Match} match
+   */
+  constructor(match) {
+    this.match = match;
+    /** @type {LogEntry[]} */
+    this.entries = [];
+    /** @type {Object<string, string>} Names of the dices in the entries, with their owners, by UUID */
+    this.diceLabels = {};
+    this.unsubscribe = null;
+  }
+
+  get isLogging() {
+    return this.unsubscribe !== null;
+  }
+
+  start() {
+    if (this.isLogging) return this;
+    this.unsubscribe = messages.subscribe("*", (message) => this.addMessage(message));
+    return this;
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    return this;
+  }
+
+  /**
+   * @param {{kind: string}} message
+   * @returns {LogEntry | null} The added entry. Some messages repeat what other entries already tell and are skipped.
+   */
+  addMessage(message) {
+    const entry = this.describe(message);
+    if (!entry) return null;
+    const match = this.match;
+    for (const dice of entry.dices) {
+      this.diceLabels[dice.uuid] = label(dice);
+    }
+    /** @type {LogEntry} */
+    const logEntry = {
+      turn: match.turnsTaken,
+      round: match.round,
+      phase: match.phase,
+      kind: message.kind,
+      type: entry.type ?? message.kind,
+      players: [...new Set([...entry.players, ...entry.dices.map((dice) => dice.owner)])]
+        .filter((player) => player)
+        .map((player) => player.name),
+      dices: entry.dices.map((dice) => dice.uuid),
+      text: entry.text,
+    };
+    this.entries.push(logEntry);
+    return logEntry;
+  }
+
+  /**
+   * @param {{kind: string}} message
+   * @returns {{text: string, type?: string, players: import("./player.js").Player[], dices: Dice[]} | null}
+   */
+  describe(message) {
+    const kinds = messages.kinds;
+    switch (message.kind) {
+      case kinds.info:
+        return { text: message.text, players: [], dices: [] };
+      case kinds.ability:
+        return {
+          text: message.text,
+          type: message.trigger,
+          players: [],
+          dices: collectDices(message.source, message.target),
+        };
+      case kinds.modify:
+        return {
+          text: i18n.t("log.modify", {
+            source: label(message.source),
+            stat: i18n.t(`stats.${message.stat}`),
+            target: label(message.target),
+            before: message.before,
+            after: message.after,
+          }),
+          players: [],
+          dices: collectDices(message.source, message.target),
+        };
+      case kinds.status: {
+        const status = message.status;
+        // The hide event already tells it
+        if (message.change === "add" && status.type === StatusEffect.types.hidden) return null;
+        const params = { dice: label(message.target), status: i18n.t(`statuses.${status.type}`) };
+        let text;
+        if (message.change !== "add") {
+          text = i18n.t("log.statusExpired", params);
+        } else if (status.duration === Infinity) {
+          text = i18n.t("log.statusAdded", params);
+        } else {
+          const duration = i18n.t(`units.${status.unit}`, { count: status.duration });
+          text = i18n.t("log.statusAddedFor", { ...params, duration: duration });
+        }
+        return { text: text, players: [], dices: collectDices(message.target) };
+      }
+      case kinds.event:
+        return this.describeEvent(message);
+      case kinds.match:
+        return this.describeMatch(message);
+      case kinds.action: {
+        const player = message.player;
+        if (message.config) {
+          return {
+            text: i18n.t(`log.${this.match.draft.currentAction}`, { player: player.name, dice: message.config.name }),
+            type: message.phase,
+            players: [player],
+            dices: [],
+          };
+        }
+        // Other decisions are told by the events they lead to, except for passes
+        if (message.dice || message.phase === Match.phases.roll) return null;
+        return { text: i18n.t("log.pass", { player: player.name }), type: message.phase, players: [player], dices: [] };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {{type: string, data: Object, isCancelled: boolean}} message
+   */
+  describeEvent({ type, data, isCancelled }) {
+    const dice = data.dice;
+    // Events of the match, such as its end, have their own messages
+    if (!dice) return null;
+    const describeSymbol = (symbol) => i18n.t(`symbols.${symbol}`);
+    let outcome = data.symbol ? `${data.outcome} (${describeSymbol(data.symbol)})` : data.outcome;
+    // Rolls of several throws or explosions tell how their outcome was formed
+    if (data.rolls?.length > 1 || data.rolls?.some((roll) => roll.values.length > 1)) {
+      outcome = `${data.outcome} (${Dice.describeRolls(data.rolls, describeSymbol)})`;
+    }
+    const params = { dice: label(dice), outcome: outcome };
+    let text;
+    switch (type) {
+      case Dice.events.roll:
+      case Dice.events.hide:
+        text = i18n.t(`log.${type}`, params);
+        break;
+      case Dice.events.reroll:
+        text = i18n.t("log.reroll", { ...params, previous: data.previousRoll });
+        break;
+      case Dice.events.destroy:
+        text = data.source
+          ? i18n.t("log.destroyBy", { ...params, source: label(data.source) })
+          : i18n.t("log.destroy", params);
+        break;
+      default:
+        // Expired statuses have their own messages
+        return null;
+    }
+    return {
+      text: isCancelled ? i18n.t("log.cancelled", { text: text }) : text,
+      type: type,
+      players: [],
+      dices: collectDices(dice, data.source),
+    };
+  }
+
+  /**
+   * @param {{change: string, round: number, players?: import("./player.js").Player[]}} message
+   */
+  describeMatch({ change, round, players = [] }) {
+    switch (change) {
+      case "start":
+        return { text: i18n.t("log.matchStarts"), players: [], dices: [] };
+      case "round":
+        return { text: i18n.t("log.roundStarts", { round: round }), players: [], dices: [] };
+      case "end": {
+        const names = players.map((player) => player.name).join(" & ");
+        const text =
+          players.length > 0 ? i18n.t("log.matchWon", { names: names, count: players.length }) : i18n.t("log.draw");
+        return { text: text, players: players, dices: [] };
+      }
+      default:
+        // Phases are shown by the turns of the log
+        return null;
+    }
+  }
+
+  /**
+   * @param {LogFilter} filter
+   * @returns {LogEntry[]}
+   */
+  filter({ player, dice, type } = {}) {
+    return this.entries.filter(
+      (entry) =>
+        (!player || entry.players.includes(player)) &&
+        (!dice || entry.dices.includes(dice)) &&
+        (!type || entry.type === type)
+    );
+  }
+
+  /**
+   * @param {LogFilter} filter
+   * @returns {{turn: number, round: number, phase: string, entries: LogEntry[]}[]} Entries grouped by turn, in order
+   */
+  getTurns(filter = {}) {
+    const turns = [];
+    for (const entry of this.filter(filter)) {
+      const last = turns[turns.length - 1];
+      if (last?.turn === entry.turn && last.phase === entry.phase) {
+        last.entries.push(entry);
+      } else {
+        turns.push({ turn: entry.turn, round: entry.round, phase: entry.phase, entries: [entry] });
+      }
+    }
+    return turns;
+  }
+
+  /**
+   * @param {{round: number, phase: string}} turn Turn returned by {@link getTurns}
+   * @returns Heading of the turn
+   */
+  static describeTurn({ round, phase }) {
+    if (round > 0) return i18n.t("log.round", { round: round, phase: i18n.t(`phases.${phase}`) });
+    return i18n.t(phase === Match.phases.draft ? "log.draft" : "log.start");
+  }
+
+  /**
+   * @returns Values that the entries can be filtered by
+   */
+  getFilterOptions() {
+    return {
+      players: [...new Set(this.entries.flatMap((entry) => entry.players))],
+      dices: Object.entries(this.diceLabels).map(([uuid, label]) => ({ uuid: uuid, label: label })),
+      types: [...new Set(this.entries.map((entry) => entry.type))],
+    };
+  }
+
+  /**
+   * @param {LogFilter} filter
+   * @returns Readable log, one line per entry under a heading for every turn
+   */
+  toText(filter = {}) {
+    return this.getTurns(filter)
+      .map((turn) => {
+        const heading = `[${i18n.t("log.turn", { turn: turn.turn })}] ${CombatLog.describeTurn(turn)}`;
+        return [heading, ...turn.entries.map((entry) => `  ${entry.text}`)].join("\n");
+      })
+      .join("\n");
+  }
+
+  toJSON() {
+    return { entries: this.entries, diceLabels: this.diceLabels };
+  }
+
+  /**
+   * @param {ReturnType<CombatLog["toJSON"]>} data
+   * @param {Match} match
+   * @returns {CombatLog} The log, which isn't logging yet
+   */
+  static fromJSON(data, match) {
+    const log = new CombatLog(match);
+    log.entries = data.entries ?? [];
+    log.diceLabels = data.diceLabels ?? {};
+    return log;
+  }
+}
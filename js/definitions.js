@@ -0,0 +1,313 @@
+import * as logger from "./logger.js";
+import * as utils from "./utils.js";
+import { Dice, GameEvent, isSimulating } from "./dice.js";
+import { StatusEffect } from "./status.js";
+import { Modifier } from "./modifier.js";
+import * as messages from "./messages.js";
+import * as i18n from "./i18n.js";
+
+/**
+ * @typedef {Object} EffectDefinition
+ * @property {string} [property] Property of the target to overwrite. See {@link editableProperties}.
+ * @property {string} [eventProperty] Data of the event to overwrite instead, e.g. "outcome" in the "before" phase.
+ * @property {string} [modify] Stat of the target to add a {@link Modifier} to instead: "value", "minValue" or "maxValue".
+ * @property {string} [operation] "add" (default) or "multiply", for `modify`
+ * @property {string} [formula] Evaluated by {@link utils.StringParser.parseFormula} into the new value or the amount.
+ * @property {string} [action] Action to perform instead. See {@link actions}.
+ * @property {string} [status] Status effect of "addStatus" and "removeStatus". See {@link StatusEffect}.
+ * @property {number} [duration] Duration of the status effect or the modifier. Permanent if omitted.
+ * @property {string} [unit] "turn" or "round"
+ * @property {number} [amount] Strength of the status effect, e.g. for "buffed"
+ * @property {string} [stacking] Stacking rule of the status effect
+ * @property {string} [minValue] Formula of the lowest outcome of "redraw". The target's `minValue` by default.
+ * @property {string} [maxValue] Formula of the highest outcome of "redraw". The target's `maxValue` by default.
+ */
+
+/**
+ * @typedef {Object} AbilityDefinition
+ * @property {string} trigger Event that triggers the ability. See {@link Dice.events}. "expire" has `dice` and `status`.
+ * @property {string} [phase] "before" the event takes effect (it can still be changed or cancelled) or "after" (default).
+ * @property {number} [priority] Abilities with higher priorities are applied first. 0 by default.
+ * @property {string} scope Whose event triggers the ability. See {@link scopes}.
+ * @property {string} [sourceScope] Optional scope of the event's source (for "destroy").
+ * @property {string} [symbol] Only applies if the rolled face has this symbol (for "roll" and "reroll").
+ * @property {string} target Dice the effects are applied to. See {@link targets}.
+ * @property {EffectDefinition[]} effects Applied in order, so later formulas see earlier results.
+ * @property {string} [message] Info shown after the effects are applied.
+ * @property {boolean} [immediate] False to postpone the ability until all dices have handled the event.
+ */
+
+/**
+ * @typedef {Object} DiceDefinition
+ * @property {string} name Unique name, also used to find the config entry of a saved dice.
+ * @property {string} type See {@link Dice.type}.
+ * @property {[number, number]} [range] Minimum and maximum outcome. Defaults depend on `type`.
+ * @property {(number | string | Object)[]} [faces] Explicit faces instead of the range: numbers, symbols or
+ * `{ value, symbol, weight }`. See {@link Dice.setFaces}.
+ * @property {number[]} [weights] Relative chance of each face, or of each outcome of the range if there are no faces
+ * @property {Partial<import("./dice.js").RollOptions>} [roll] How the dice is rolled, e.g. `{ count: 3, keep: 2 }`.
+ * Abilities can grant the "advantage", "disadvantage" and "exploding" statuses for a while instead.
+ * @property {string} [description]
+ * @property {AbilityDefinition[]} [abilities]
+ * @property {Object<string, string>} [sounds] Cues of the manifest (data/sounds.json) played instead of the default
+ * ones, by event type or "ability". See audio.js.
+ */
+
+// Formulas and messages can use these placeholders:
+//   {self:property}       The dice that has the ability
+//   {dice:property}       The dice the event happens to
+//   {target:property}     The target of the effects
+//   {event:data}          Data of the event, e.g. "outcome" or "previousRoll" (see Dice)
+//   {original:data}       Data of the event before the effects are applied
+//   {before:property}     The target before the effects are applied
+//   {after:property}      The target after the effects are applied
+//   {random:min,max}      A random integer in [min, max]. Both may be formulas.
+
+/** Whether `other` (a Dice or a Player) is in the scope of `self` */
+const scopes = {
+  self: (self, other) => self === other,
+  ally: (self, other) => self !== other && self.isAlly(other),
+  enemy: (self, other) => !self.isAlly(other),
+  any: () => true,
+};
+
+/** Finds the target of the effects. Returns undefined if there is none. */
+const targets = {
+  self: (self) => self,
+  dice: (self, event) => event.dice,
+  randomEnemyChampion: (self) => {
+    const candidates = getOpponents(self)
+      .flatMap((player) => player.champions)
+      .filter((champion) => !champion.isDisabled && !champion.isDestroyed);
+    return candidates.length > 0 ? utils.getRandomElement(candidates) : undefined;
+  },
+  randomAlly: (self) => {
+    const candidates = getAllies(self)
+      .flatMap((player) => player.dices)
+      .filter((dice) => dice !== self && !dice.isDestroyed);
+    return candidates.length > 0 ? utils.getRandomElement(candidates) : undefined;
+  },
+  randomEnemy: (self) => {
+    const candidates = getOpponents(self)
+      .flatMap((player) => player.dices)
+      .filter((dice) => !dice.isDestroyed);
+    return candidates.length > 0 ? utils.getRandomElement(candidates) : undefined;
+  },
+};
+
+const actions = {
+  disable: (target) => target.disable(),
+  cancel: (target, self, event) => event.cancel(),
+  // Uses the effect's "status", "duration", "unit", "amount" and "stacking". See StatusEffect.
+  addStatus: (target, self, event, effect) =>
+    target.addStatus(effect.status, {
+      duration: effect.duration ?? Infinity,
+      unit: effect.unit,
+      amount: effect.amount,
+      stacking: effect.stacking,
+      source: self.uuid,
+    }),
+  removeStatus: (target, self, event, effect) => target.removeStatus(effect.status),
+  // Draws a new outcome from the target's faces, following its roll options. Uses the effect's "minValue" and
+  // "maxValue". Before the target's own roll takes effect, the roll's outcome is replaced, so that the abilities
+  // reacting to the roll apply to the new outcome. Otherwise the target is rerolled.
+  redraw: (target, self, event, effect, filters) => {
+    const min = effect.minValue ? utils.StringParser.parseFormula(effect.minValue, ...filters) : target.minValue;
+    const max = effect.maxValue ? utils.StringParser.parseFormula(effect.maxValue, ...filters) : target.maxValue;
+    if (min === null || max === null) return;
+    const isRolling = event.type === Dice.events.roll || event.type === Dice.events.reroll;
+    if (isRolling && event.dice === target && event.phase === GameEvent.phases.before) {
+      Object.assign(event, target.drawOutcome(min, max));
+    } else {
+      target.reroll({ minValue: min, maxValue: max });
+    }
+  },
+};
+
+/** Properties that effects are allowed to overwrite. Prefer modifiers for values, so that they can be undone. */
+const editableProperties = ["value", "minValue", "maxValue", "isHidden", "isDestroyed", "isDisabled"];
+
+/**
+ * @param {Dice} self
+ * @returns {import("./player.js").Player[]} Players in the `nextPlayer` ring that aren't allies of `self`
+ */
+function getOpponents(self) {
+  const opponents = [];
+  if (!self.owner) return opponents;
+  for (let player = self.owner.nextPlayer; player && player !== self.owner; player = player.nextPlayer) {
+    if (!self.isAlly(player)) opponents.push(player);
+  }
+  return opponents;
+}
+
+/**
+ * @param {Dice} self
+ * @returns {import("./player.js").Player[]} Owner of `self`, then its allies in the `nextPlayer` ring
+ */
+function getAllies(self) {
+  const allies = [];
+  if (!self.owner) return allies;
+  allies.push(self.owner);
+  for (let player = self.owner.nextPlayer; player && player !== self.owner; player = player.nextPlayer) {
+    if (self.isAlly(player)) allies.push(player);
+  }
+  return allies;
+}
+
+/**
+ * @param {string} token
+ * @param {*} object
+ * @returns {utils.DynamicFilter} Filter that replaces `{token:key}` by `object[key]`
+ */
+function createPropertyFilter(token, object) {
+  return new utils.DynamicFilter(token, (key) => `${object?.[key]}`);
+}
+
+const randomFilter = new utils.DynamicFilter("random", (key) => {
+  const [min, max] = key.split(",").map((formula) => utils.StringParser.parseFormula(formula));
+  return utils.getRandomInt(min, max);
+});
+
+/**
+ * Applies an ability to `self` in response to an event.
+ * @param {Dice} self Holder of the ability
+ * @param {AbilityDefinition} ability
+ * @param {import("./dice.js").GameEvent} event
+ * @param {string} messageKey Key of the translated message, see {@link i18n.localize}
+ */
+function applyAbility(self, ability, event, messageKey) {
+  if (event.dice && !scopes[ability.scope]?.(self, event.dice)) return;
+  if (ability.sourceScope && !(event.source && scopes[ability.sourceScope]?.(self, event.source))) return;
+  if (ability.symbol && event.symbol !== ability.symbol) return;
+
+  const target = targets[ability.target]?.(self, event);
+  if (!target) return;
+
+  logger.debug(logger.channels.abilities, `${self} applies an ability to ${target} on ${event.type}`, {
+    source: self.uuid,
+    target: target.uuid,
+    trigger: event.type,
+  });
+  const before = target.getState();
+  const original = event.getData();
+  for (const effect of ability.effects ?? []) {
+    // Filters are created per effect, so that each formula sees the results of the previous ones
+    const filters = [
+      createPropertyFilter("self", self),
+      createPropertyFilter("dice", event.dice),
+      createPropertyFilter("target", target),
+      createPropertyFilter("event", event),
+      randomFilter,
+    ];
+    if (effect.action) {
+      actions[effect.action]?.(target, self, event, effect, filters);
+      continue;
+    }
+    if (effect.modify && Object.values(Modifier.stats).includes(effect.modify)) {
+      const amount = utils.StringParser.parseFormula(effect.formula, ...filters);
+      if (amount !== null) {
+        target.addModifier(
+          new Modifier(effect.modify, effect.operation ?? Modifier.operations.add, amount, {
+            source: self.uuid,
+            sourceName: self.name,
+            duration: effect.duration ?? Infinity,
+            unit: effect.unit,
+          })
+        );
+      }
+    } else if (effect.eventProperty && event.dataKeys.includes(effect.eventProperty)) {
+      const result = utils.StringParser.parseFormula(effect.formula, ...filters);
+      if (result !== null) {
+        event[effect.eventProperty] = result;
+      }
+    } else if (editableProperties.includes(effect.property)) {
+      const result = utils.StringParser.parseFormula(effect.formula, ...filters);
+      if (result !== null) {
+        target[effect.property] = result;
+      }
+    }
+  }
+
+  // Simulated abilities publish nothing, so they don't need to be described
+  if (isSimulating()) return;
+  const after = target.getState();
+  for (const stat of Object.values(Modifier.stats)) {
+    if (before[stat] !== after[stat]) {
+      messages.publish(messages.kinds.modify, {
+        source: self,
+        target: target,
+        stat: stat,
+        before: before[stat],
+        after: after[stat],
+      });
+    }
+  }
+
+  if (ability.message) {
+    const filters = [
+      createPropertyFilter("self", self),
+      createPropertyFilter("dice", event.dice),
+      createPropertyFilter("target", target),
+      createPropertyFilter("event", event),
+      createPropertyFilter("original", original),
+      createPropertyFilter("before", before),
+      createPropertyFilter("after", after),
+    ];
+    const text = i18n.localize(messageKey, ability.message, {}, ...filters);
+    messages.publish(messages.kinds.ability, { source: self, target: target, trigger: event.type, text: text });
+  }
+}
+
+/**
+ * @param {DiceDefinition} definition
+ * @returns {Dice} Dice built from `definition`
+ */
+export function createDice(definition) {
+  const dice = new Dice(definition.name, definition.type);
+  if (definition.range) {
+    [dice.minValue, dice.maxValue] = definition.range;
+  }
+  if (definition.faces || definition.weights) {
+    dice.setFaces(definition.faces ?? dice.getFaces().map((face) => face.value), definition.weights);
+  }
+  if (definition.roll) {
+    dice.setRollOptions(definition.roll);
+  }
+  if (definition.description) {
+    dice.addDescription(definition.description);
+  }
+  if (definition.sounds) {
+    dice.sounds = { ...definition.sounds };
+  }
+  for (const [index, ability] of (definition.abilities ?? []).entries()) {
+    if (!Object.values(Dice.events).includes(ability.trigger)) {
+      logger.error(
+        logger.channels.abilities,
+        `${definition.name} has an ability with an invalid trigger "${ability.trigger}"`
+      );
+      continue;
+    }
+    dice.addAbility(
+      ability.trigger,
+      function (event) {
+        applyAbility(this, ability, event, `dices.${definition.name}.abilities.${index}`);
+      },
+      { immediate: ability.immediate ?? true, priority: ability.priority ?? 0, phase: ability.phase ?? "after" }
+    );
+  }
+  return dice;
+}
+
+/**
+ * Loads dice definitions from a JSON file. Works both in browsers and in Node.
+ * @param {string | URL} url Defaults to data/dices.json
+ * @returns {Promise<DiceDefinition[]>}
+ */
+export async function loadDefinitions(url = new URL("../data/dices.json", import.meta.url)) {
+  if (typeof window === "undefined") {
+    const { readFile } = await import("node:fs/promises");
+    return JSON.parse(await readFile(url, "utf8"));
+  }
+  const response = await fetch(url);
+  return response.json();
+}
@@ -1,7 +1,11 @@
-import * as debug from "./debug.js";
+import * as logger from "./logger.js";
 import * as utils from "./utils.js";
 import { Player } from "./player.js";
-import { addInfo } from "./ui.js";
+import { createDice, loadDefinitions } from "./definitions.js";
+import { StatusEffect } from "./status.js";
+import { Modifier, applyModifiers } from "./modifier.js";
+import * as messages from "./messages.js";
+import * as i18n from "./i18n.js";
 
 /** @type {Dice[]} */
 export const dices = [];
@@ -14,16 +18,169 @@ export function handlePostponedEvents() {
   }
 }
 
-export function handleEvent(type, ...params) {
-  for (const dice of dices) {
-    debug.log(`${dice} handling ${type} event`, 1);
-    dice.handleEvent(type, ...params);
+/**
+ * Passed to every listener of an event. Its data (e.g. `dice`, `outcome`) are properties of the event itself.
+ * Listeners of the "before" phase may change the data or cancel the event before it takes effect.
+ */
+export class GameEvent {
+  static phases = { before: "before", after: "after" };
+
+  /**
+   * @param {string} type See {@link Dice.events}
+   * @param {Object} data e.g. `{ dice, outcome }`
+   */
+  constructor(type, data = {}) {
+    this.type = type;
+    this.phase = GameEvent.phases.before;
+    this.isCancelled = false;
+    /** Names of the data properties, in the order they are given */
+    this.dataKeys = Object.keys(data);
+    Object.assign(this, data);
+  }
+
+  /**
+   * @returns Current values of the event's data
+   */
+  getData() {
+    return Object.fromEntries(this.dataKeys.map((key) => [key, this[key]]));
+  }
+
+  /**
+   * Prevents the event from taking effect. Only possible in the "before" phase.
+   */
+  cancel() {
+    if (this.phase !== GameEvent.phases.before) {
+      logger.warn(logger.channels.events, `"${this.type}" event can't be cancelled in the "${this.phase}" phase`);
+      return;
+    }
+    this.isCancelled = true;
+  }
+}
+
+/** Objects notified of every event, e.g. recorders. Both callbacks are optional.
+ * @type {{onEvent?: (event: GameEvent) => void, onEventHandled?: (event: GameEvent) => void}[]} */
+const eventObservers = [];
+
+/**
+ * Observers are notified when an event starts (`onEvent`) and after all dices have handled it (`onEventHandled`).
+ * @param {{onEvent?: Function, onEventHandled?: Function}} observer
+ */
+export function addEventObserver(observer) {
+  if (!eventObservers.includes(observer)) {
+    eventObservers.push(observer);
+  }
+}
+
+export function removeEventObserver(observer) {
+  const index = eventObservers.indexOf(observer);
+  if (index !== -1) {
+    eventObservers.splice(index, 1);
+  }
+}
+
+/**
+ * Runs the listeners of every dice for the event's current phase, from the highest priority to the lowest.
+ * Listeners with the same priority run in the order of the `dices` registry.
+ * @param {GameEvent} event
+ */
+function runListeners(event) {
+  const listeners = dices
+    .filter((dice) => !dice.isDisabled)
+    .flatMap((dice) => dice.getListeners(event.type, event.phase))
+    // Array.prototype.sort() is stable
+    .sort((a, b) => b.priority - a.priority);
+  for (const listener of listeners) {
+    logger.debug(logger.channels.events, `${listener.holder} handling ${event.type} event (${event.phase})`, {
+      dice: listener.holder?.uuid,
+      type: event.type,
+      phase: event.phase,
+      identifier: listener.identifier,
+    });
+    listener.execute(event);
   }
   handlePostponedEvents();
 }
 
+/**
+ * Dispatches an event to every dice in two phases: "before" listeners, then `action` unless the event has been
+ * cancelled, then "after" listeners.
+ * @param {string} type See {@link Dice.events}
+ * @param {Object} data e.g. `{ dice, outcome }`
+ * @param {(event: GameEvent) => void} action Makes the event take effect, using the data after "before" listeners
+ * @returns {GameEvent}
+ */
+export function handleEvent(type, data = {}, action = undefined) {
+  const event = new GameEvent(type, data);
+  // Simulated events are not observed (e.g. recorded)
+  const observers = simulating ? [] : eventObservers;
+  observers.forEach((observer) => observer.onEvent?.(event));
+
+  runListeners(event);
+  if (!event.isCancelled) {
+    action?.(event);
+    event.phase = GameEvent.phases.after;
+    runListeners(event);
+  }
+
+  observers.forEach((observer) => observer.onEventHandled?.(event));
+  messages.publish(messages.kinds.event, { type: event.type, data: event.getData(), isCancelled: event.isCancelled });
+  return event;
+}
+
+let simulating = false;
+
+/**
+ * @returns Whether the events being handled are only simulated, in which case they should have no side effects
+ */
+export function isSimulating() {
+  return simulating;
+}
+
+/**
+ * Runs `action` and reverts every dice and the random number generator afterwards. Can be nested.
+ * Nothing is published to the message bus meanwhile.
+ * @param {Function} action What to simulate, e.g. a roll
+ * @param {number} seed Optional seed for the random draws of the simulation
+ * @returns The result of `action`
+ */
+export function simulate(action, seed) {
+  const states = dices.map((dice) => [dice, dice.getState()]);
+  const randomState = utils.getRandomState();
+  const wasSimulating = simulating;
+  const wasSuppressed = messages.setSuppressed(true);
+  simulating = true;
+  if (seed !== undefined) {
+    utils.setRandomSeed(seed);
+  }
+  try {
+    return action();
+  } finally {
+    states.forEach(([dice, state]) => dice.setState(state));
+    utils.setRandomState(randomState);
+    simulating = wasSimulating;
+    messages.setSuppressed(wasSuppressed);
+  }
+}
+
+/**
+ * @param {string} uuid
+ * @returns {Dice | undefined} Dice in the registry with given `uuid`
+ */
+export function findDice(uuid) {
+  return dices.find((dice) => dice.uuid === uuid);
+}
+
 export class EventListener {
-  constructor(immediate = true, listener, holder, identifier, type) {
+  /**
+   * @param {boolean} immediate If false, the listener is postponed until every listener of the phase has run
+   * @param {(event: GameEvent) => void} listener
+   * @param {Dice} holder `this` of the listener
+   * @param {string} identifier
+   * @param {string} type See {@link Dice.events}
+   * @param {number} priority Listeners with higher priorities run first
+   * @param {string} phase "before" or "after". See {@link GameEvent.phases}.
+   */
+  constructor(immediate = true, listener, holder, identifier, type, priority = 0, phase = GameEvent.phases.after) {
     // Copy constructor
     if (arguments[0] instanceof EventListener) {
       utils.assign(this, arguments[0]);
@@ -39,6 +196,8 @@ export class EventListener {
     this.holder = holder;
     this.identifier = identifier;
     this.type = type;
+    this.priority = priority;
+    this.phase = phase;
   }
 
   setHolder(holder) {
@@ -55,7 +214,9 @@ export class EventListener {
       this.listener.call(this.holder, ...params);
     } else {
       postponedListeners.push(() => {
-        debug.log("postponed", 1);
+        logger.debug(logger.channels.events, `Postponed listener of ${this.holder} runs`, {
+          identifier: this.identifier,
+        });
         this.listener.call(this.holder, ...params);
       });
     }
@@ -84,9 +245,41 @@ export class EventListener {
   }
 }
 
+/**
+ * @typedef {Object} Face
+ * @property {number} value Outcome of the face, before buffs
+ * @property {string | null} symbol See {@link Dice.symbols}
+ * @property {number} weight Relative chance of the face
+ */
+
+/**
+ * @typedef {Object} RollOptions
+ * @property {number} count Number of dices thrown by a roll
+ * @property {number} keep Number of them added up into the outcome
+ * @property {boolean} keepLowest Keeps the lowest throws instead of the highest
+ * @property {boolean} explode Throws again and adds the result whenever the highest face of the range comes up
+ */
+
+/**
+ * @typedef {Object} SubRoll One throw of a roll
+ * @property {number[]} values Drawn faces, without buffs. Exploding throws have one value per face drawn.
+ * @property {string | null} symbol Symbol of the last face drawn
+ * @property {number} total Sum of `values`
+ * @property {boolean} isKept Whether it counts towards the outcome
+ */
+
 export class Dice {
   static type = { champion: "Champion", minion: "Minion" };
-  static events = { roll: "roll", reroll: "reroll", hide: "hide", destroy: "destroy" };
+  static events = { roll: "roll", reroll: "reroll", hide: "hide", destroy: "destroy", expire: "expire" };
+  /**
+   * Special faces. Their outcomes are the values of their faces (0 by default) and aren't affected by range
+   * modifiers. Abilities can react to them with the `symbol` of their definitions.
+   * - shield: the dice is shielded from one destruction until the round ends
+   * - skull: no effect of its own
+   */
+  static symbols = { shield: "shield", skull: "skull" };
+  /** Explosions of a single throw stop after this many, so that unlucky ranges (e.g. a single face) end */
+  static maxExplosions = 10;
 
   element = null;
   listeners = {
@@ -94,15 +287,22 @@ export class Dice {
     [Dice.events.reroll]: {},
     [Dice.events.hide]: {},
     [Dice.events.destroy]: {},
+    [Dice.events.expire]: {},
   };
+  /** @type {StatusEffect[]} */
+  statusEffects = [];
+  /** @type {Modifier[]} */
+  modifiers = [];
 
   constructor(name = utils.getRandomString(4, false, true, false), type = Dice.type.minion, owner = null) {
     // Copy constructor
     if (arguments[0] instanceof Dice) {
       const other = arguments[0];
-      utils.assign(this, other, ["uuid", "listeners"]);
+      utils.assign(this, other, ["uuid", "listeners", "statusEffects", "modifiers"]);
 
       this.uuid = utils.generateUUID();
+      this.statusEffects = other.statusEffects.map((effect) => StatusEffect.fromJSON(effect.toJSON()));
+      this.modifiers = other.modifiers.map((modifier) => Modifier.fromJSON(modifier.toJSON()));
 
       for (const type of Object.keys(other.listeners)) {
         for (const identifier of Object.keys(other.listeners[type])) {
@@ -120,14 +320,20 @@ export class Dice {
     this.uuid = utils.generateUUID();
     this.description = "No description for this dice.";
     this.type = type;
-    this.isHidden = false;
     this.isDestroyed = false;
-    this.isDisabled = false;
     this.value = null;
     this.minValue = 1;
     this.maxValue = type === Dice.type.champion ? 10 : 6;
+    /** @type {Face[] | null} Explicit faces, or `null` for a uniform dice over its range. See {@link setFaces}. */
+    this.faces = null;
+    /** Symbol of the face showing, if any. See {@link Dice.symbols}. */
+    this.symbol = null;
+    /** @type {RollOptions} Before status effects. See {@link getRollOptions}. */
+    this.rollOptions = { count: 1, keep: 1, keepLowest: false, explode: false };
     /** @type {Player} */
     this.owner = owner;
+    /** Sound cues played instead of the default ones, by event type. See audio.js */
+    this.sounds = {};
   }
 
   addDescription(description) {
@@ -135,27 +341,444 @@ export class Dice {
     return this;
   }
 
-  roll() {
-    const outcome = utils.getRandomInt(this.minValue, this.maxValue);
-    this.value = outcome;
+  /**
+   * @returns Description in the current locale. Descriptions without a translation are shown as they are.
+   */
+  getDescription() {
+    return i18n.localize(`dices.${this.name}.description`, this.description);
+  }
+
+  // `value`, `minValue` and `maxValue` are effective values: their base values with every modifier applied.
+  // Assigning them sets the base values.
+
+  get value() {
+    return this.getEffectiveValue(Modifier.stats.value);
+  }
+
+  /** Overwrites the outcome. Outcome modifiers belong to the previous outcome, so they are removed. */
+  set value(value) {
+    this.baseValue = value;
+    this.modifiers = this.modifiers.filter((modifier) => modifier.stat !== Modifier.stats.value);
+  }
+
+  get minValue() {
+    return this.getEffectiveValue(Modifier.stats.minValue);
+  }
+
+  set minValue(value) {
+    this.baseMinValue = value;
+  }
+
+  get maxValue() {
+    return this.getEffectiveValue(Modifier.stats.maxValue);
+  }
+
+  set maxValue(value) {
+    this.baseMaxValue = value;
+  }
+
+  /**
+   * @param {string} stat See {@link Modifier.stats}
+   * @returns Base value of `stat` with its modifiers applied
+   */
+  getEffectiveValue(stat) {
+    return applyModifiers(
+      this.getBaseValue(stat),
+      this.modifiers.filter((modifier) => modifier.stat === stat)
+    );
+  }
+
+  /**
+   * @param {string} stat See {@link Modifier.stats}
+   * @returns Value of `stat` without modifiers
+   */
+  getBaseValue(stat) {
+    return { value: this.baseValue, minValue: this.baseMinValue, maxValue: this.baseMaxValue }[stat];
+  }
+
+  /**
+   * @param {Modifier} modifier
+   * @returns this
+   */
+  addModifier(modifier) {
+    this.modifiers.push(modifier);
+    return this;
+  }
+
+  /**
+   * @param {Modifier} modifier
+   * @returns this
+   */
+  removeModifier(modifier) {
+    this.modifiers = this.modifiers.filter((element) => element !== modifier);
+    return this;
+  }
+
+  /**
+   * @param {Dice | string} source A dice or its UUID
+   * @returns this
+   */
+  removeModifiersFrom(source) {
+    const uuid = source instanceof Dice ? source.uuid : source;
+    this.modifiers = this.modifiers.filter((modifier) => modifier.source !== uuid);
+    return this;
+  }
+
+  /**
+   * @param {string} stat See {@link Modifier.stats}
+   * @returns Explanation of the effective value, e.g. "5 (Warrior -1, Berzerker x0.5) = 2"
+   */
+  explain(stat = Modifier.stats.value) {
+    const modifiers = this.modifiers.filter((modifier) => modifier.stat === stat);
+    const effective = this.getEffectiveValue(stat);
+    if (modifiers.length === 0) return `${effective}`;
+    return `${this.getBaseValue(stat)} (${modifiers.join(", ")}) = ${effective}`;
+  }
+
+  /**
+   * Counts down status effects and modifiers measured in `unit` and removes the expired ones.
+   * @param {string} unit See {@link StatusEffect.units}
+   */
+  tick(unit) {
+    this.modifiers = this.modifiers.filter((modifier) => !modifier.tick(unit));
+    this.tickStatuses(unit);
+  }
 
-    handleEvent("roll", this, outcome);
-    return outcome;
+  get isHidden() {
+    return this.hasStatus(StatusEffect.types.hidden);
   }
 
-  reroll() {
-    const previousRoll = this.value;
-    const outcome = utils.getRandomInt(this.minValue, this.maxValue);
+  /** Setting the flag adds or removes a "hidden" effect that lasts until it's removed */
+  set isHidden(value) {
+    value ? this.addStatus(StatusEffect.types.hidden) : this.removeStatus(StatusEffect.types.hidden);
+  }
+
+  get isDisabled() {
+    return this.hasStatus(StatusEffect.types.disabled);
+  }
+
+  /** Setting the flag adds or removes a "disabled" effect that lasts until it's removed */
+  set isDisabled(value) {
+    value ? this.addStatus(StatusEffect.types.disabled) : this.removeStatus(StatusEffect.types.disabled);
+  }
+
+  /**
+   * @param {string} type See {@link StatusEffect.types}
+   * @returns {StatusEffect | undefined}
+   */
+  getStatus(type) {
+    return this.statusEffects.find((effect) => effect.type === type);
+  }
+
+  hasStatus(type) {
+    return this.getStatus(type) !== undefined;
+  }
+
+  /**
+   * Adds a status effect, or merges it into the existing one of the same type according to its stacking rule.
+   * @param {string | StatusEffect} type See {@link StatusEffect.types}, or an effect
+   * @param {ConstructorParameters<typeof StatusEffect>[1]} options Ignored if `type` is an effect
+   * @returns this
+   */
+  addStatus(type, options = {}) {
+    const effect = type instanceof StatusEffect ? type : new StatusEffect(type, options);
+    const existing = this.getStatus(effect.type);
+    if (existing) {
+      existing.merge(effect);
+    } else {
+      this.statusEffects.push(effect);
+    }
+    messages.publish(messages.kinds.status, { target: this, status: existing ?? effect, change: "add" });
+    return this;
+  }
+
+  /**
+   * Removes a status effect without triggering "expire".
+   * @param {string} type See {@link StatusEffect.types}
+   * @returns this
+   */
+  removeStatus(type) {
+    this.statusEffects = this.statusEffects.filter((effect) => effect.type !== type);
+    return this;
+  }
+
+  /**
+   * Counts down the effects measured in `unit`, then removes the expired ones and fires "expire" for each.
+   * @param {string} unit See {@link StatusEffect.units}
+   */
+  tickStatuses(unit) {
+    const expired = this.statusEffects.filter((effect) => effect.tick(unit));
+    if (expired.length === 0) return;
+
+    this.statusEffects = this.statusEffects.filter((effect) => !expired.includes(effect));
+    for (const effect of expired) {
+      messages.publish(messages.kinds.status, { target: this, status: effect, change: "expire" });
+      handleEvent(Dice.events.expire, { dice: this, status: effect });
+    }
+  }
+
+  /**
+   * @returns Bonus added to every outcome by "buffed"
+   */
+  getBuff() {
+    const buff = this.getStatus(StatusEffect.types.buffed);
+    return buff ? buff.amount * buff.stacks : 0;
+  }
+
+  /**
+   * Gives the dice explicit faces. Its range becomes the range of its numbered faces, so that range modifiers apply to
+   * them (see {@link getFaces}).
+   * @param {(number | string | Partial<Face>)[]} faces Numbers, symbols (see {@link Dice.symbols}) or faces
+   * @param {number[]} weights Weight of each face, unless the face has its own. 1 by default.
+   * @returns this
+   */
+  setFaces(faces, weights = []) {
+    this.faces = faces.map((face, index) => {
+      const entry = typeof face === "object" ? face : typeof face === "number" ? { value: face } : { symbol: face };
+      return { value: entry.value ?? 0, symbol: entry.symbol ?? null, weight: entry.weight ?? weights[index] ?? 1 };
+    });
+    const values = this.faces.filter((face) => face.symbol === null).map((face) => face.value);
+    if (values.length > 0) {
+      this.minValue = Math.min(...values);
+      this.maxValue = Math.max(...values);
+    }
+    return this;
+  }
+
+  /**
+   * Numbered faces are stretched from their own range onto the given range, e.g. +2 to both `minValue` and
+   * `maxValue` adds 2 to every numbered face. A uniform dice has one face per integer of the range.
+   * @param {number} min Defaults to the effective `minValue`
+   * @param {number} max Defaults to the effective `maxValue`
+   * @returns {Face[]} Faces of the dice over the range
+   */
+  getFaces(min = this.minValue, max = this.maxValue) {
+    if (!this.faces) {
+      const length = Math.max(max - min + 1, 0);
+      return Array.from({ length: length }, (_, i) => ({ value: min + i, symbol: null, weight: 1 }));
+    }
+    const values = this.faces.filter((face) => face.symbol === null).map((face) => face.value);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    return this.faces.map((face) => {
+      if (face.symbol !== null) return face;
+      const value = high === low ? face.value + min - low : min + ((face.value - low) * (max - min)) / (high - low);
+      return { ...face, value: Math.round(value) };
+    });
+  }
+
+  /**
+   * @param {number} min See {@link getFaces}
+   * @param {number} max
+   * @returns {Face} Random face, without buffs
+   */
+  drawFace(min = this.minValue, max = this.maxValue) {
+    // Uniform dices draw exactly as they always have, so that seeded matches keep their outcomes
+    if (!this.faces) return { value: utils.getRandomInt(min, max), symbol: null, weight: 1 };
+    const faces = this.getFaces(min, max);
+    return faces[utils.getWeightedIndex(faces.map((face) => face.weight))];
+  }
+
+  /**
+   * @param {Partial<RollOptions>} options Merged with the current options
+   * @returns this
+   */
+  setRollOptions(options) {
+    this.rollOptions = { ...this.rollOptions, ...options };
+    return this;
+  }
+
+  /**
+   * Every stack of "advantage" throws `amount` more dices (1 by default) and keeps the highest ones, "disadvantage"
+   * does the same but keeps the lowest ones. They cancel each other out. "exploding" makes the throws explode.
+   * @returns {RollOptions} Options of the next roll, with status effects
+   */
+  getRollOptions() {
+    const extra = (type) => {
+      const effect = this.getStatus(type);
+      return effect ? (effect.amount || 1) * effect.stacks : 0;
+    };
+    const options = { ...this.rollOptions };
+    const advantage = extra(StatusEffect.types.advantage) - extra(StatusEffect.types.disadvantage);
+    if (advantage !== 0) {
+      options.count += Math.abs(advantage);
+      options.keepLowest = advantage < 0;
+    }
+    options.explode ||= this.hasStatus(StatusEffect.types.exploding);
+    options.keep = utils.clamp(options.keep, 1, options.count);
+    return options;
+  }
+
+  /**
+   * @param {boolean} explode See {@link RollOptions}
+   * @param {number} min See {@link getFaces}
+   * @param {number} max
+   * @returns {SubRoll} One throw, which isn't kept yet
+   */
+  drawRoll(explode = false, min = this.minValue, max = this.maxValue) {
+    const values = [];
+    let face;
+    do {
+      face = this.drawFace(min, max);
+      values.push(face.value);
+    } while (explode && face.symbol === null && face.value >= max && values.length <= Dice.maxExplosions);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return { values: values, symbol: face.symbol, total: total, isKept: false };
+  }
+
+  /**
+   * Throws the dices of the roll options and adds up the kept ones. The outcome has the symbol of the best kept throw
+   * that shows one.
+   * @param {number} min See {@link getFaces}
+   * @param {number} max
+   * @returns {{outcome: number, symbol: string | null, rolls: SubRoll[]}} New random outcome, including buffs, its
+   * symbol and every throw that formed it, in order
+   */
+  drawOutcome(min = this.minValue, max = this.maxValue) {
+    const { count, keep, keepLowest, explode } = this.getRollOptions();
+    const rolls = Array.from({ length: count }, () => this.drawRoll(explode, min, max));
+    // Sorting is stable, so ties keep the earliest throws
+    const ranked = [...rolls].sort((a, b) => (keepLowest ? a.total - b.total : b.total - a.total));
+    const kept = ranked.slice(0, keep);
+    kept.forEach((roll) => (roll.isKept = true));
+    return {
+      outcome: kept.reduce((sum, roll) => sum + roll.total, 0) + this.getBuff(),
+      symbol: kept.find((roll) => roll.symbol !== null)?.symbol ?? null,
+      rolls: rolls,
+    };
+  }
+
+  /**
+   * @param {SubRoll[]} rolls
+   * @param {(symbol: string) => string} describeSymbol Names the symbols, e.g. in the player's language
+   * @returns Throws of a roll in short, e.g. "6+3, [2]" for an explosion and a dropped throw
+   */
+  static describeRolls(rolls, describeSymbol = (symbol) => symbol) {
+    return rolls
+      .map((roll) => {
+        const text = roll.values.join("+") + (roll.symbol ? ` ${describeSymbol(roll.symbol)}` : "");
+        return roll.isKept ? text : `[${text}]`;
+      })
+      .join(", ");
+  }
+
+  /**
+   * @returns {{value: number, symbol: string | null, probability: number}[]} Chance of every face value of a single
+   * throw, without buffs
+   */
+  getThrowDistribution() {
+    const faces = this.getFaces();
+    const total = faces.reduce((sum, face) => sum + face.weight, 0);
+    const outcomes = new Map();
+    for (const { value, symbol, weight } of faces) {
+      const key = `${value}:${symbol}`;
+      const outcome = outcomes.get(key) ?? { value: value, symbol: symbol, probability: 0 };
+      outcome.probability += weight / total;
+      outcomes.set(key, outcome);
+    }
+    return [...outcomes.values()];
+  }
+
+  /**
+   * Takes the roll options into account. Explosions are only counted once, so their chances are slightly off.
+   * @returns {{value: number, symbol: string | null, probability: number}[]} Chance of every outcome of a roll,
+   * including buffs, from the lowest
+   */
+  getDistribution() {
+    const { count, keep, keepLowest, explode } = this.getRollOptions();
+    let throws = this.getThrowDistribution();
+    if (explode) {
+      throws = throws.flatMap((face) =>
+        face.symbol === null && face.value >= this.maxValue
+          ? this.getThrowDistribution().map((next) => ({
+              value: face.value + next.value,
+              symbol: next.symbol,
+              probability: face.probability * next.probability,
+            }))
+          : [face]
+      );
+    }
+    const rank = (a, b) => (keepLowest ? a.value - b.value : b.value - a.value);
+    // Only the kept throws matter, so combinations that keep the same throws are counted together
+    let states = new Map([["", { kept: [], probability: 1 }]]);
+    for (let i = 0; i < count; i++) {
+      const next = new Map();
+      for (const state of states.values()) {
+        for (const face of throws) {
+          const kept = [...state.kept, face].sort(rank).slice(0, keep);
+          const key = kept.map(({ value, symbol }) => `${value}:${symbol}`).join(",");
+          const entry = next.get(key) ?? { kept: kept, probability: 0 };
+          entry.probability += state.probability * face.probability;
+          next.set(key, entry);
+        }
+      }
+      states = next;
+    }
+    const outcomes = new Map();
+    for (const { kept, probability } of states.values()) {
+      const value = kept.reduce((sum, face) => sum + face.value, 0) + this.getBuff();
+      const symbol = kept.find((face) => face.symbol !== null)?.symbol ?? null;
+      const key = `${value}:${symbol}`;
+      const outcome = outcomes.get(key) ?? { value: value, symbol: symbol, probability: 0 };
+      outcome.probability += probability;
+      outcomes.set(key, outcome);
+    }
+    return [...outcomes.values()].sort((a, b) => a.value - b.value || (a.symbol ?? "").localeCompare(b.symbol ?? ""));
+  }
+
+  /**
+   * @returns Average outcome of a roll
+   */
+  getExpectedValue() {
+    return this.getDistribution().reduce((sum, outcome) => sum + outcome.value * outcome.probability, 0);
+  }
+
+  /**
+   * Shows a drawn outcome. A "shield" face shields the dice until the round ends.
+   * @param {number} outcome
+   * @param {string | null} symbol
+   */
+  setOutcome(outcome, symbol = null) {
     this.value = outcome;
+    this.symbol = symbol;
+    if (symbol === Dice.symbols.shield) {
+      this.addStatus(StatusEffect.types.shielded, { duration: 1, unit: StatusEffect.units.round });
+    }
+  }
 
-    handleEvent("reroll", this, outcome, previousRoll);
-    return outcome;
+  /**
+   * "before" listeners may change `outcome` or cancel the roll, in which case the value stays the same. The event's
+   * `rolls` tells how the outcome was formed, see {@link drawOutcome}.
+   * @returns The outcome after "before" listeners
+   */
+  roll() {
+    const event = handleEvent(Dice.events.roll, { dice: this, ...this.drawOutcome() }, (event) =>
+      this.setOutcome(event.outcome, event.symbol)
+    );
+    return event.outcome;
+  }
+
+  /**
+   * @param {Object} range Range drawn from instead of the dice's own, e.g. for abilities that redraw an outcome
+   * @param {number} range.minValue
+   * @param {number} range.maxValue
+   * @returns The outcome after "before" listeners
+   */
+  reroll({ minValue = this.minValue, maxValue = this.maxValue } = {}) {
+    const event = handleEvent(
+      Dice.events.reroll,
+      { dice: this, ...this.drawOutcome(minValue, maxValue), previousRoll: this.value },
+      (event) => this.setOutcome(event.outcome, event.symbol)
+    );
+    return event.outcome;
   }
 
   // TODO: this is not complete
   hide() {
-    this.isHidden = true;
-    handleEvent("hide", this);
+    // Hidden until the round is resolved, at the latest until the round ends
+    handleEvent(Dice.events.hide, { dice: this }, () =>
+      this.addStatus(StatusEffect.types.hidden, { duration: 1, unit: StatusEffect.units.round })
+    );
   }
 
   // TODO: this is not complete
@@ -164,22 +787,50 @@ export class Dice {
       throw Error(`"destroy" event must have a source! - in ${this}`);
     }
 
-    if (!source instanceof Player || !source instanceof Dice) {
+    if (!(source instanceof Player || source instanceof Dice)) {
       throw Error(`"destroy" event has an invalid source! - in ${this}`);
     }
 
-    if (!this.isDestroyed) {
-      this.isDestroyed = true;
-      handleEvent("destroy", this, source);
+    if (this.isDestroyed) return;
+
+    // Each stack of "shielded" absorbs one destruction
+    const shield = this.getStatus(StatusEffect.types.shielded);
+    if (shield) {
+      if (--shield.stacks <= 0) this.removeStatus(StatusEffect.types.shielded);
+      messages.publish(messages.kinds.info, { text: i18n.t("info.shieldAbsorbed", { dice: this.name }), target: this });
+      return;
     }
+
+    handleEvent(Dice.events.destroy, { dice: this, source: source }, () => {
+      this.isDestroyed = true;
+      // A destroyed dice no longer affects the others
+      dices.forEach((dice) => dice.removeModifiersFrom(this));
+    });
   }
 
-  disable() {
-    this.isDisabled = true;
+  /**
+   * @param {number} duration Infinity by default
+   * @param {string} unit See {@link StatusEffect.units}
+   */
+  disable(duration = Infinity, unit = StatusEffect.units.turn) {
+    this.addStatus(StatusEffect.types.disabled, { duration: duration, unit: unit });
     // TODO: maybe add an event for "disable" but it may be too much for a simple game
   }
 
-  addAbility(type, listener, { identifier = undefined, immediate = undefined } = {}) {
+  /**
+   * @param {string} type See {@link Dice.events}
+   * @param {Function | EventListener} listener Functions are called with the {@link GameEvent} and the dice as `this`
+   * @param {Object} options
+   * @param {string} options.identifier Replaces the listener with the same identifier. Random by default.
+   * @param {boolean} options.immediate If false, the listener is postponed until the phase's other listeners have run
+   * @param {number} options.priority Listeners with higher priorities run first. 0 by default.
+   * @param {string} options.phase "before" or "after" (default) the event takes effect
+   */
+  addAbility(
+    type,
+    listener,
+    { identifier = undefined, immediate = undefined, priority = undefined, phase = undefined } = {}
+  ) {
     if (!this.listeners[type]) {
       this.listeners[type] = {};
     }
@@ -188,7 +839,7 @@ export class Dice {
     }
     // Wraps given function as an EventListener
     if (typeof listener === "function") {
-      listener = new EventListener(immediate, listener, this, identifier, type);
+      listener = new EventListener(immediate, listener, this, identifier, type, priority, phase);
     }
     // If `listener` is neither a function nor an EventListener, throws an error.
     else if (!(listener instanceof EventListener)) {
@@ -198,23 +849,88 @@ export class Dice {
     return this;
   }
 
-  handleEvent(type, ...params) {
-    if (this.isDisabled) return;
-
-    const getListener = (type, identifier) => this.listeners[type][identifier];
+  /**
+   * @param {string} type See {@link Dice.events}
+   * @param {string} phase See {@link GameEvent.phases}
+   * @returns {EventListener[]} Listeners of the dice for given event type and phase
+   */
+  getListeners(type, phase) {
     // No listeners of given `type` exists (unless it's pre-set)
-    if (!this.listeners[type]) return;
+    if (!this.listeners[type]) return [];
+    return Object.values(this.listeners[type]).filter(
+      (listener) => listener instanceof EventListener && listener.phase === phase
+    );
+  }
 
-    for (const identifier in this.listeners[type]) {
-      const listener = getListener(type, identifier);
-      if (listener instanceof EventListener) {
-        listener.execute(...params);
-      }
-      // Technically this wouldn't happen
-      else if (typeof listener === "function") {
-        listener.call(this, ...params);
-      }
+  /**
+   * @returns Snapshot of the dice's mutable properties, which can be restored by {@link setState}
+   */
+  getState() {
+    return {
+      // Effective values are only informative, e.g. for messages. The base values and modifiers are restored.
+      value: this.value,
+      minValue: this.minValue,
+      maxValue: this.maxValue,
+      baseValue: this.baseValue,
+      baseMinValue: this.baseMinValue,
+      baseMaxValue: this.baseMaxValue,
+      isDestroyed: this.isDestroyed,
+      symbol: this.symbol,
+      // Flags such as `isHidden` are derived from the effects
+      statusEffects: this.statusEffects.map((effect) => effect.toJSON()),
+      modifiers: this.modifiers.map((modifier) => modifier.toJSON()),
+    };
+  }
+
+  /**
+   * @param {ReturnType<Dice["getState"]>} state Snapshot returned by {@link getState}
+   * @returns this
+   */
+  setState(state) {
+    // Older snapshots only have effective values, which then become the base values
+    const ignores = "baseValue" in state ? ["value", "minValue", "maxValue"] : [];
+    utils.assign(this, state, [...ignores, "statusEffects", "modifiers"]);
+    if (state.statusEffects) {
+      this.statusEffects = state.statusEffects.map((effect) => StatusEffect.fromJSON(effect));
     }
+    if (state.modifiers) {
+      this.modifiers = state.modifiers.map((modifier) => Modifier.fromJSON(modifier));
+    }
+    return this;
+  }
+
+  /**
+   * Listeners are functions and are not serialized. {@link Dice.fromJSON} rebuilds them from `configs`.
+   */
+  toJSON() {
+    return {
+      uuid: this.uuid,
+      name: this.name,
+      type: this.type,
+      description: this.description,
+      state: this.getState(),
+    };
+  }
+
+  /**
+   * Rebuilds a dice saved by {@link toJSON}. Its abilities are copied from the config entry with the same name.
+   * @param {ReturnType<Dice["toJSON"]>} data
+   * @returns {Dice}
+   */
+  static fromJSON(data) {
+    const config = configs.all.find((config) => config.name === data.name);
+    let dice;
+    if (config) {
+      dice = new Dice(config);
+    } else {
+      logger.warn(
+        logger.channels.data,
+        `No config entry named "${data.name}" - the dice is restored without abilities`
+      );
+      dice = new Dice(data.name, data.type).addDescription(data.description);
+    }
+    dice.uuid = data.uuid;
+    return dice.setState(data.state);
   }
 
   toString() {
@@ -227,17 +943,23 @@ export class Dice {
 
   /**
    * @param {Dice | Player} other
-   * @returns Whether `other` is `this` or an ally dice or is the human player
+   * @returns Whether `other` is `this`, or a dice or player of the owner's team
    */
   isAlly(other) {
+    if (other === this) {
+      return true;
+    }
+
+    if (other instanceof Player) {
+      return this.owner?.isAllyOf(other) ?? false;
+    }
+
     if (!this.owner || !other.owner) {
       return false;
     }
 
-    if (other instanceof Player) {
-      return this.owner === other;
-    } else if (other instanceof Dice) {
-      return this.owner.ownsDice(other);
+    if (other instanceof Dice) {
+      return this.owner.isAllyOf(other.owner);
     }
 
     return false;
@@ -260,134 +982,10 @@ function addToConfig(...dices) {
     } else if (dice.type === Dice.type.minion) {
       configs.minions.push(dice);
     } else {
-      debug.log(`Failed to add ${dice} to configs - Invalid type "${dice.type}"`, 0);
+      logger.error(logger.channels.data, `Failed to add ${dice} to configs - Invalid type "${dice.type}"`);
     }
     configs.all.push(dice);
   }
 }
-//#region Minions
-addToConfig(
-  new Dice("Warrior", Dice.type.minion)
-    .addAbility(
-      Dice.events.roll,
-      function (dice, outcome) {
-        if (!this.isAlly(dice)) {
-          let original, newValue;
-          newValue = dice.value = (original = outcome) - 1;
-          addInfo(`${this.name} => ${dice.name} -1 (${original} => ${newValue})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On enemy roll] Subtracts the outcome by 1"),
-  new Dice("Wizard", Dice.type.minion)
-    .addAbility(
-      Dice.events.roll,
-      function (dice, outcome) {
-        if (this === dice) {
-          let original, newValue;
-          newValue = this.value = (original = outcome) + 1;
-          addInfo(`${this.name} +1 (${original} => ${newValue})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On self roll] Adds 1 to the outcome"),
-  new Dice("Berzerker", Dice.type.minion)
-    .addAbility(
-      Dice.events.destroy,
-      function (dice) {
-        if (this === dice) {
-          this.isDestroyed = false;
-          let original, newValue;
-          // (number | 0) is Shorter, and also faster than Math.floor() to convert a float to int
-          newValue = this.value = ((original = this.value) / 2) | 0;
-          addInfo(`${this.name} avoided being destroyed, but /2. (${original} => ${newValue})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On self destroy] Instead of getting destroyed, have its outcome halved"),
-  new Dice("Ranger", Dice.type.minion)
-    .addAbility(
-      Dice.events.reroll,
-      function (dice, outcome, previousRoll) {
-        if (this === dice) {
-          if (outcome < previousRoll) {
-            this.value = previousRoll;
-          }
-          addInfo(`${this.name} rerolls with protection. (>= ${previousRoll}, ${previousRoll} => ${this.value})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On self reroll] Number rerolled will not be less than the current."),
-  new Dice("Rogue", Dice.type.minion)
-    .addAbility(
-      Dice.events.hide,
-      function (dice) {
-        if (this === dice) {
-          let original, newValue;
-          newValue = this.value = (original = this.value) + 2;
-          addInfo(`${this.name} +2 from "hide." (${original} => ${newValue})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On self hide] Adds 2 to the outcome")
-);
-//#endregion
-
-//#region Champions
-addToConfig(
-  new Dice("King", Dice.type.champion)
-    .addAbility(
-      Dice.events.hide,
-      function (dice) {
-        if (!this.isAlly(dice)) {
-          let original = [this.minValue, this.maxValue];
-          let newRange = [(this.minValue += 2), (this.maxValue += 2)];
-          this.value = utils.getRandomInt(this.minValue, this.maxValue);
-          addInfo(`${this.name} rerolls with greater power. (${original} => ${newRange})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On enemy hide] Applies +2/+2 and rerolls this dice."),
-  new Dice("Queen", Dice.type.champion)
-    .addAbility(
-      Dice.events.roll,
-      function (dice) {
-        if (this.isAlly(dice) && this !== dice) {
-          const newRange = [dice.minValue, dice.maxValue + 4];
-          dice.value = utils.getRandomInt(...newRange);
-          addInfo(`${dice.name} rolls with ${this.name}'s bless. (${newRange} => ${dice.value})`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On ally roll] Adds 4 to the outcome maximum"),
-  new Dice("Knight", Dice.type.champion)
-    .addAbility(
-      Dice.events.destroy,
-      function (dice, source) {
-        if (this.isAlly(dice) && this !== dice && !this.isAlly(source)) {
-          /** @type {Player} */
-          const opponent = source instanceof Player ? source : source.owner;
-          const champions = opponent.champions.slice(0);
-          let champion;
-          while (
-            champions.length > 0 &&
-            (champion = champions.splice(utils.getRandomInt(0, champions.lastIndex), 1)[0]).isDisabled
-          ) {
-            // Nothing needed here
-          }
-          champion.isDisabled = true;
-          addInfo(`${champion.name} is disabled by ${this.name}`);
-        }
-      },
-      { immediate: true }
-    )
-    .addDescription("[On ally destroy] Randomly disables an undisabled champion of your opponent for one turn")
-);
-//#endregion
+// Dices are defined in data/dices.json. See definitions.js for the format.
+addToConfig(...(await loadDefinitions()).map((definition) => createDice(definition)));
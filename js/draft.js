@@ -0,0 +1,194 @@
+import * as logger from "./logger.js";
+import { Dice, configs } from "./dice.js";
+
+/**
+ * Players build their loadouts before a match by taking turns to ban dices from the pool or pick dices from it.
+ * Dices in the pool are the entries of `configs.all`; picked entries are copied when the draft is finished.
+ */
+export class Draft {
+  static actions = { pick: "pick", ban: "ban" };
+
+  /**
+   * @typedef {Object} LoadoutRules
+   * @property {number} champions Champions in every loadout
+   * @property {number} minions Minions in every loadout
+   * @property {boolean} unique Whether a loadout may contain the same dice only once
+   * @property {number} bans Bans of every player before the picks
+   */
+  /** @type {LoadoutRules} */
+  static defaultRules = { champions: 2, minions: 4, unique: true, bans: 1 };
+
+  /**
+   * @param {import("./player.js").Player[]} players In the order of the first picks
+   * @param {Partial<LoadoutRules>} rules Overrides {@link Draft.defaultRules}
+   */
+  constructor(players, rules = {}) {
+    this.players = players;
+    /** @type {LoadoutRules} */
+    this.rules = { ...Draft.defaultRules, ...rules };
+    for (const [type, quota] of [
+      [Dice.type.champion, this.rules.champions],
+      [Dice.type.minion, this.rules.minions],
+    ]) {
+      const pool = configs.all.filter((config) => config.type === type).length;
+      if (quota > 0 && (this.rules.unique ? pool < quota : pool === 0)) {
+        throw new Error(`There are too few ${type} dices to draft ${quota} of them`);
+      }
+    }
+    this.order = Draft.createOrder(players.length, this.rules);
+    /** Index in `order` */
+    this.step = 0;
+    /** @type {Dice[]} Entries of `configs.all` */
+    this.bans = [];
+    /** @type {Dice[][]} Entries of `configs.all` picked by each player */
+    this.picks = players.map(() => []);
+    this.skipImpossibleBans();
+  }
+
+  /**
+   * Every player bans in turn, then picks follow a snake order (1-2-2-1...) so that the first pick isn't too strong.
+   * @param {number} playerCount
+   * @param {LoadoutRules} rules
+   * @returns {{player: number, action: string}[]} Index of the player and action of every step
+   */
+  static createOrder(playerCount, rules) {
+    const order = [];
+    for (let i = 0; i < rules.bans; i++) {
+      for (let player = 0; player < playerCount; player++) {
+        order.push({ player: player, action: Draft.actions.ban });
+      }
+    }
+    const picks = rules.champions + rules.minions;
+    for (let i = 0; i < picks; i++) {
+      for (let j = 0; j < playerCount; j++) {
+        order.push({ player: i % 2 === 0 ? j : playerCount - 1 - j, action: Draft.actions.pick });
+      }
+    }
+    return order;
+  }
+
+  get isOver() {
+    return this.step >= this.order.length;
+  }
+
+  /** @type {import("./player.js").Player | null} Player who has to choose */
+  get currentPlayer() {
+    return this.isOver ? null : this.players[this.order[this.step].player];
+  }
+
+  /** @type {string | null} See {@link Draft.actions} */
+  get currentAction() {
+    return this.isOver ? null : this.order[this.step].action;
+  }
+
+  /**
+   * @param {Dice} config Entry of `configs.all`
+   * @returns Whether no player can pick `config` anymore
+   */
+  isBanned(config) {
+    return this.bans.includes(config);
+  }
+
+  /**
+   * @returns {Dice[]} Entries of `configs.all` that can be chosen in the current step
+   */
+  getAvailable() {
+    if (this.isOver) return [];
+    const picks = this.picks[this.order[this.step].player];
+    return configs.all.filter((config) =>
+      this.currentAction === Draft.actions.ban ? this.canBan(config) : this.canPick(config, picks)
+    );
+  }
+
+  /**
+   * @param {Dice} config
+   * @param {Dice[]} picks Dices already picked by the player
+   */
+  canPick(config, picks) {
+    if (this.isBanned(config)) return false;
+    if (this.rules.unique && picks.includes(config)) return false;
+    const quota = config.type === Dice.type.champion ? this.rules.champions : this.rules.minions;
+    return picks.filter((pick) => pick.type === config.type).length < quota;
+  }
+
+  /**
+   * Bans that would leave too few dices to complete a unique loadout are not allowed.
+   * @param {Dice} config
+   */
+  canBan(config) {
+    if (this.isBanned(config)) return false;
+    if (!this.rules.unique) {
+      return configs.all.some((other) => other !== config && other.type === config.type && !this.isBanned(other));
+    }
+    const quota = config.type === Dice.type.champion ? this.rules.champions : this.rules.minions;
+    const remaining = configs.all.filter((other) => other.type === config.type && !this.isBanned(other)).length;
+    return remaining - 1 >= quota;
+  }
+
+  /**
+   * Bans or picks `config` for the current player.
+   * @param {Dice} config Entry of `configs.all`
+   * @returns Whether `config` could be chosen
+   */
+  choose(config) {
+    if (!this.getAvailable().includes(config)) {
+      logger.warn(logger.channels.match, `${config} can't be chosen by ${this.currentPlayer} in the draft`);
+      return false;
+    }
+    if (this.currentAction === Draft.actions.ban) {
+      this.bans.push(config);
+    } else {
+      this.picks[this.order[this.step].player].push(config);
+    }
+    logger.debug(logger.channels.match, `${this.currentPlayer} ${this.currentAction}s ${config.name}`, {
+      player: this.currentPlayer.name,
+      action: this.currentAction,
+      dice: config.name,
+    });
+    this.step++;
+    this.skipImpossibleBans();
+    return true;
+  }
+
+  /**
+   * With many players, there may be nothing left that can be banned. Such bans are skipped.
+   */
+  skipImpossibleBans() {
+    while (this.currentAction === Draft.actions.ban && this.getAvailable().length === 0) {
+      this.step++;
+    }
+  }
+
+  /**
+   * Gives every player a copy of the dices they picked.
+   */
+  finish() {
+    this.players.forEach((player, index) => player.addDice(...this.picks[index].map((config) => new Dice(config))));
+  }
+
+  /**
+   * Dices are referenced by their names in `configs.all`. Players are restored by the match.
+   */
+  toJSON() {
+    return {
+      rules: this.rules,
+      step: this.step,
+      bans: this.bans.map((config) => config.name),
+      picks: this.picks.map((picks) => picks.map((config) => config.name)),
+    };
+  }
+
+  /**
+   * @param {ReturnType<Draft["toJSON"]>} data
+   * @param {import("./player.js").Player[]} players
+   * @returns {Draft}
+   */
+  static fromJSON(data, players) {
+    const draft = new Draft(players, data.rules);
+    const findConfig = (name) => configs.all.find((config) => config.name === name);
+    draft.step = data.step;
+    draft.bans = data.bans.map(findConfig).filter((config) => config);
+    draft.picks = data.picks.map((picks) => picks.map(findConfig).filter((config) => config));
+    return draft;
+  }
+}
@@ -1,5 +1,3 @@
-import * as ui from "./ui.js";
-
 // ********** Metrics **********
 let deltaTime; // Time elapsed between frames
 let totalRunTime; // Time elapsed since startup
@@ -7,7 +5,13 @@ let previousTotalRunTime; // Time elapsed from startup to last frame
 let fps; // Frames per second
 let paused = false; // If paused, gameLoop (and most other tasks) will not be executed.
 let hasStarted = false;
-/** @type {ui.Info[]} */
+/** @type {import("./match.js").Match} */
+let match = null;
+/** @type {import("./recorder.js").ReplayPlayer} */
+let replay = null;
+/** @type {import("./network.js").LockstepSession} Set while playing online */
+let session = null;
+/** @type {import("./ui.js").Info[]} */
 export const infos = [];
 
 // Helper interface that makes the variables writable via setters
@@ -48,6 +52,24 @@ let gameData = {
   set hasStarted(value) {
     hasStarted = value;
   },
+  get match() {
+    return match;
+  },
+  set match(value) {
+    match = value;
+  },
+  get replay() {
+    return replay;
+  },
+  set replay(value) {
+    replay = value;
+  },
+  get session() {
+    return session;
+  },
+  set session(value) {
+    session = value;
+  },
   get infos() {
     return infos;
   },
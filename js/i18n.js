@@ -0,0 +1,171 @@
+import * as logger from "./logger.js";
+import { CustomFilter } from "./utils.js";
+
+/**
+ * Translations of the player-facing text. Texts are looked up by keys in locale files (locales/<locale>.json).
+ *
+ * Placeholders use the same tokens as the rest of the game: `{name}` is replaced by the parameter `name`, and the
+ * filters given to {@link t} replace their own tokens (e.g. `{self:name}` in the messages of abilities).
+ * A text can have plural forms, chosen by the `count` parameter with `Intl.PluralRules`:
+ *   "dicesLeft": { "one": "{count} dice left", "other": "{count} dices left" }
+ */
+
+/** Locales shipped with the game, with their names in their own language */
+export const locales = { en: "English", fr: "Français" };
+/** Texts missing from a locale are taken from this one */
+export const fallbackLocale = "en";
+
+/** @type {Object<string, Object>} Loaded locale files */
+const translations = {};
+let currentLocale = fallbackLocale;
+/** @type {((locale: string) => void)[]} */
+const listeners = [];
+
+/**
+ * Loads a locale file. Works both in browsers and in Node.
+ * @param {string} locale See {@link locales}
+ * @returns {Promise<Object>} Texts of the locale, by key
+ */
+export async function loadLocale(locale) {
+  if (translations[locale]) return translations[locale];
+  const url = new URL(`../locales/${locale}.json`, import.meta.url);
+  if (typeof window === "undefined") {
+    const { readFile } = await import("node:fs/promises");
+    translations[locale] = JSON.parse(await readFile(url, "utf8"));
+  } else {
+    const response = await fetch(url);
+    translations[locale] = await response.json();
+  }
+  return translations[locale];
+}
+
+/**
+ * @returns Current locale, see {@link locales}
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switches the locale at runtime. Texts that are already shown are updated by the listeners of {@link onChange}.
+ * @param {string} locale See {@link locales}
+ * @returns Whether the locale could be loaded
+ */
+export async function setLocale(locale) {
+  if (!(locale in locales)) {
+    logger.warn(logger.channels.ui, `Unknown locale "${locale}"`);
+    return false;
+  }
+  try {
+    await loadLocale(locale);
+  } catch (e) {
+    logger.error(logger.channels.ui, `Failed to load the locale "${locale}" - ${e.name}: ${e.message}`);
+    return false;
+  }
+  currentLocale = locale;
+  listeners.forEach((listener) => listener(locale));
+  return true;
+}
+
+/**
+ * @param {(locale: string) => void} listener Called whenever the locale is switched
+ * @returns {Function} Call it to stop listening
+ */
+export function onChange(listener) {
+  listeners.push(listener);
+  return () => {
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  };
+}
+
+/**
+ * @param {string} locale
+ * @param {string} key Dot-separated path, e.g. "result.youWin"
+ */
+function lookup(locale, key) {
+  return key.split(".").reduce((texts, part) => texts?.[part], translations[locale]);
+}
+
+/**
+ * @param {string} key
+ * @returns Whether the current or fallback locale has a text for `key`
+ */
+export function has(key) {
+  return lookup(currentLocale, key) !== undefined || lookup(fallbackLocale, key) !== undefined;
+}
+
+/**
+ * Translates a text into the current locale.
+ * @param {string} key Dot-separated path, e.g. "result.youWin". The key itself is returned if no locale has it.
+ * @param {Object<string, *>} params Replace their `{name}` placeholders. `count` also chooses the plural form.
+ * @param {...CustomFilter} filters Applied after the parameters
+ * @returns {string}
+ */
+export function t(key, params = {}, ...filters) {
+  let text = lookup(currentLocale, key) ?? lookup(fallbackLocale, key);
+  if (text === undefined) {
+    logger.debug(logger.channels.ui, `No text for "${key}" in locale "${currentLocale}"`);
+    return key;
+  }
+  if (typeof text === "object") {
+    text = selectPlural(text, params.count);
+  }
+  return format(text, params, ...filters);
+}
+
+/**
+ * Translates a text of the game data, e.g. the description of a dice definition. The data is written in English, so
+ * its own text is used in locales that don't translate it.
+ * @param {string} key e.g. "dices.King.description"
+ * @param {string} text Text given by the data
+ * @param {Object<string, *>} params See {@link t}
+ * @param {...CustomFilter} filters
+ */
+export function localize(key, text, params = {}, ...filters) {
+  const translation = lookup(currentLocale, key);
+  return format(typeof translation === "string" ? translation : text, params, ...filters);
+}
+
+/**
+ * Fills in the placeholders of a text that isn't in the locale files, e.g. a message given by a dice definition.
+ * @param {string} text
+ * @param {Object<string, *>} params See {@link t}
+ * @param {...CustomFilter} filters
+ */
+export function format(text, params = {}, ...filters) {
+  const paramFilters = Object.entries(params).map(
+    ([name, value]) => new CustomFilter(`{${name}}`, () => `${value}`)
+  );
+  for (const filter of [...paramFilters, ...filters]) {
+    text = filter.apply(text);
+  }
+  return text;
+}
+
+/**
+ * @param {Object<string, string>} forms Plural forms by category of `Intl.PluralRules` ("zero", "one", "few", ...)
+ * @param {number} count
+ */
+function selectPlural(forms, count = 0) {
+  const category = new Intl.PluralRules(currentLocale).select(count);
+  return forms[category] ?? forms.other;
+}
+
+/**
+ * Translates the static text of the page: elements with `data-i18n` get the text of that key, and elements with
+ * `data-i18n-placeholder` get a translated placeholder.
+ * @param {ParentNode} root
+ */
+export function translateDocument(root = document) {
+  document.documentElement.lang = currentLocale;
+  for (const element of root.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+  for (const element of root.querySelectorAll("[data-i18n-placeholder]")) {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  }
+}
+
+// Texts are needed as soon as the game starts, before any locale is chosen
+await loadLocale(fallbackLocale);
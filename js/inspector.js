@@ -0,0 +1,172 @@
+import { Dice, EventListener, dices, findDice } from "./dice.js";
+import { Modifier } from "./modifier.js";
+import * as messages from "./messages.js";
+import { MemorySink } from "./logger.js";
+
+/** Events that can be fired from the inspector, as methods of {@link Dice} */
+const actions = [Dice.events.roll, Dice.events.reroll, Dice.events.hide, Dice.events.destroy];
+/** Flags that can be toggled from the inspector */
+const flags = ["isHidden", "isDisabled", "isDestroyed"];
+/** Number of handled events kept for the inspector */
+const historyLength = 20;
+
+/**
+ * @param {EventListener | Function} listener
+ * @returns One line describing a listener of a dice
+ */
+function describeListener(listener) {
+  if (!(listener instanceof EventListener)) return `function ${listener.name || "(anonymous)"}`;
+  const name = listener.listener?.name || "(anonymous)";
+  return `${listener.phase}, priority ${listener.priority}${listener.immediate ? "" : ", postponed"} - ${name}`;
+}
+
+/**
+ * In-page debugging tool listing every dice of the `dices` registry with its listeners. Events can be fired and
+ * values edited live. Debugging only: the events use the seeded random generator, so a match changed through the
+ * inspector can't be replayed from its seed, and online matches would get out of sync.
+ */
+export class Inspector {
+  /**
+   * @param {HTMLElement} container Shown while the inspector is open
+   * @param {MemorySink} logs Its latest records are shown too
+   */
+  constructor(container, logs = null) {
+    this.container = container;
+    this.logs = logs;
+    this.isOpen = false;
+    /** Identifies what is rendered, so that the inspector is only rebuilt when something changes */
+    this.signature = "";
+    /** @type {{type: string, dice: string, isCancelled: boolean}[]} Latest events, the newest first */
+    this.history = [];
+    container.addEventListener("click", (e) => this.onClick(e));
+    container.addEventListener("change", (e) => this.onChange(e));
+    messages.subscribe(messages.kinds.event, ({ type, data, isCancelled }) => {
+      this.history.unshift({ type: type, dice: data.dice?.name ?? "-", isCancelled: isCancelled });
+      this.history.length = Math.min(this.history.length, historyLength);
+    });
+  }
+
+  /**
+   * @param {boolean} isOpen Toggles the inspector by default
+   */
+  toggle(isOpen = !this.isOpen) {
+    this.isOpen = isOpen;
+    this.container.setData("visible", isOpen);
+    this.signature = "";
+    this.update();
+  }
+
+  /**
+   * Rebuilds the inspector if anything has changed. Called every frame.
+   */
+  update() {
+    if (!this.isOpen) return;
+    // Rebuilding would interrupt an edit
+    if (this.container.contains(document.activeElement) && document.activeElement.tagName === "INPUT") return;
+    const signature = this.getSignature();
+    if (signature === this.signature) return;
+    this.signature = signature;
+    this.render();
+  }
+
+  getSignature() {
+    const listeners = dices.map((dice) =>
+      Object.entries(dice.listeners).map(([type, listeners]) => [type, Object.keys(listeners)])
+    );
+    const states = dices.map((dice) => [dice.uuid, dice.owner?.name, dice.getState()]);
+    return JSON.stringify([states, listeners, this.history, this.logs?.records.at(-1)]);
+  }
+
+  render() {
+    const rows = dices.map((dice) => {
+      const listeners = Object.entries(dice.listeners)
+        .filter(([, listeners]) => Object.keys(listeners).length > 0)
+        .map(
+          ([type, listeners]) =>
+            `<li><strong>${type}</strong><ul>${Object.entries(listeners)
+              .map(([identifier, listener]) => `<li><code>${identifier}</code> ${describeListener(listener)}</li>`)
+              .join("")}</ul></li>`
+        )
+        .join("");
+      const statuses = dice.statusEffects.map((effect) =>
+        effect.duration === Infinity ? effect.type : `${effect.type} (${effect.duration} ${effect.unit})`
+      );
+      return `<tr data-uuid="${dice.uuid}">
+        <td><strong>${dice.name}</strong><br />${dice.type}<br /><small>${dice.uuid}</small></td>
+        <td>${dice.owner?.name ?? "-"}</td>
+        <td>${Object.values(Modifier.stats)
+          .map(
+            (stat) =>
+              `<label>${stat} <input type="number" data-stat="${stat}" value="${dice.getBaseValue(stat) ?? ""}" />` +
+              `</label> <small>${dice.explain(stat)}</small>`
+          )
+          .join("<br />")}</td>
+        <td>${flags
+          .map((flag) => {
+            const checked = dice[flag] ? "checked" : "";
+            return `<label><input type="checkbox" data-flag="${flag}" ${checked} />${flag}</label>`;
+          })
+          .join("<br />")}<br /><small>${statuses.join(", ")}</small></td>
+        <td><ul>${listeners || "<li>-</li>"}</ul></td>
+        <td>${actions.map((action) => `<button data-action="${action}">${action}</button>`).join("")}</td>
+      </tr>`;
+    });
+    const history = this.history
+      .map((event) => `<li>${event.type} - ${event.dice}${event.isCancelled ? " (cancelled)" : ""}</li>`)
+      .join("");
+    const logs = (this.logs?.records ?? [])
+      .slice(-historyLength)
+      .reverse()
+      .map((record) => `<li>[${record.level}] [${record.channel}] ${record.text}</li>`)
+      .join("");
+    this.container.innerHTML = `<h2>Inspector</h2>
+      <table>
+        <thead><tr><th>Dice</th><th>Owner</th><th>Values</th><th>Flags</th><th>Listeners</th><th>Fire</th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>
+      <h3>Latest events</h3>
+      <ol class="inspector-history">${history || "<li>-</li>"}</ol>
+      <h3>Latest logs</h3>
+      <ol class="inspector-history">${logs || "<li>-</li>"}</ol>`;
+  }
+
+  /**
+   * @param {Event} e
+   * @returns {Dice | undefined} Dice of the row of the event's target
+   */
+  getDice(e) {
+    const uuid = e.target.closest("tr[data-uuid]")?.dataset.uuid;
+    return uuid ? findDice(uuid) : undefined;
+  }
+
+  /**
+   * Fires the event of a button.
+   * @param {MouseEvent} e
+   */
+  onClick(e) {
+    const action = e.target.dataset?.action;
+    const dice = this.getDice(e);
+    if (!action || !dice) return;
+    // Destructions need a source: the inspector destroys dices on behalf of their owners
+    action === Dice.events.destroy ? dice.destroy(dice.owner ?? dice) : dice[action]();
+    this.update();
+  }
+
+  /**
+   * Applies an edited value or flag.
+   * @param {Event} e
+   */
+  onChange(e) {
+    const dice = this.getDice(e);
+    if (!dice) return;
+    const { stat, flag } = e.target.dataset;
+    if (stat) {
+      // Base values are edited, the modifiers still apply
+      dice[stat] = e.target.value === "" ? null : Number(e.target.value);
+    } else if (flag) {
+      dice[flag] = e.target.checked;
+    }
+    e.target.blur();
+    this.update();
+  }
+}
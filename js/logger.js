@@ -0,0 +1,193 @@
+/**
+ * Logs of the game. Every record belongs to a channel and has a severity level, and can carry structured data along
+ * with its text. Records are handed to sinks, which print, keep or export them.
+ *
+ * Channels are toggled separately. Disabled channels still let warnings and errors through, so problems are never
+ * silenced, while the chatter of a channel (info and debug records) is only logged once it's enabled.
+ */
+
+/** Parts of the game that log records */
+export const channels = {
+  /** Dice events and their listeners */
+  events: "events",
+  /** Abilities of the dice definitions */
+  abilities: "abilities",
+  /** Flow of matches, drafts and replays */
+  match: "match",
+  network: "network",
+  /** Page, sounds and translations */
+  ui: "ui",
+  /** Game loop and autosaves */
+  loop: "loop",
+  /** Configs, saves and formulas */
+  data: "data",
+};
+
+/** Severity levels, from the most severe */
+export const levels = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * @typedef {Object} LogRecord
+ * @property {number} time Timestamp in milliseconds
+ * @property {string} channel See {@link channels}
+ * @property {string} level Name of a level, see {@link levels}
+ * @property {string} text
+ * @property {Object<string, *>} data Structured payload. It's kept as it is, so it should only hold plain values.
+ */
+
+/**
+ * @typedef {Object} Sink Receives every logged record
+ * @property {(record: LogRecord) => void} write
+ */
+
+/** Levels that are logged even if their channel is disabled */
+const alwaysLogged = levels.warn;
+const enabled = Object.fromEntries(Object.values(channels).map((channel) => [channel, false]));
+/** @type {Sink[]} */
+const sinks = [];
+
+/**
+ * Prints records to the console, with the console method matching their levels.
+ */
+export class ConsoleSink {
+  /**
+   * @param {LogRecord} record
+   */
+  write({ channel, level, text, data }) {
+    const print = console[level] ?? console.log;
+    const line = `[${channel}] ${text}`;
+    Object.keys(data).length > 0 ? print(line, data) : print(line);
+  }
+}
+
+/**
+ * Keeps the latest records in memory, e.g. to show them on the page.
+ */
+export class MemorySink {
+  /**
+   * @param {number} capacity Older records are dropped beyond this many
+   */
+  constructor(capacity = 500) {
+    this.capacity = capacity;
+    /** @type {LogRecord[]} From the oldest */
+    this.records = [];
+  }
+
+  /**
+   * @param {LogRecord} record
+   */
+  write(record) {
+    this.records.push(record);
+    if (this.records.length > this.capacity) this.records.shift();
+  }
+
+  clear() {
+    this.records = [];
+  }
+}
+
+/**
+ * Collects records as the lines of a file, one JSON record per line, which can be downloaded from the page.
+ */
+export class FileSink {
+  /**
+   * @param {string} filename Name of the downloaded file
+   */
+  constructor(filename = "die-suki.log") {
+    this.filename = filename;
+    /** @type {string[]} */
+    this.lines = [];
+  }
+
+  /**
+   * @param {LogRecord} record
+   */
+  write(record) {
+    this.lines.push(JSON.stringify({ ...record, time: new Date(record.time).toISOString() }));
+  }
+
+  toText() {
+    return this.lines.join("\n");
+  }
+
+  /**
+   * Saves the collected records as a file. Only works in browsers.
+   */
+  download() {
+    const url = URL.createObjectURL(new Blob([this.toText()], { type: "application/x-ndjson" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = this.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * @param {Sink} sink
+ * @returns {Sink} The added sink
+ */
+export function addSink(sink) {
+  sinks.push(sink);
+  return sink;
+}
+
+/**
+ * @param {Sink} sink
+ */
+export function removeSink(sink) {
+  const index = sinks.indexOf(sink);
+  if (index >= 0) sinks.splice(index, 1);
+}
+
+/**
+ * @param {string} channel See {@link channels}
+ * @param {boolean} value
+ */
+export function setEnabled(channel, value) {
+  if (channel in enabled) enabled[channel] = value;
+}
+
+/**
+ * @param {string} channel See {@link channels}
+ */
+export function isEnabled(channel) {
+  return enabled[channel] ?? false;
+}
+
+/**
+ * @param {string} channel See {@link channels}
+ * @param {number} level See {@link levels}
+ * @returns Whether a record would be logged
+ */
+export function isLogged(channel, level) {
+  return level <= alwaysLogged || isEnabled(channel);
+}
+
+/**
+ * @param {string} channel See {@link channels}
+ * @param {number} level See {@link levels}
+ * @param {string} text
+ * @param {Object<string, *>} data See {@link LogRecord}
+ */
+export function log(channel, level, text, data = {}) {
+  if (!isLogged(channel, level)) return;
+  const name = Object.keys(levels).find((key) => levels[key] === level) ?? "info";
+  /** @type {LogRecord} */
+  const record = { time: Date.now(), channel: channel, level: name, text: text, data: data };
+  for (const sink of sinks) {
+    sink.write(record);
+  }
+}
+
+/** @type {(channel: string, text: string, data?: Object<string, *>) => void} */
+export const error = (channel, text, data) => log(channel, levels.error, text, data);
+/** @type {(channel: string, text: string, data?: Object<string, *>) => void} */
+export const warn = (channel, text, data) => log(channel, levels.warn, text, data);
+/** @type {(channel: string, text: string, data?: Object<string, *>) => void} */
+export const info = (channel, text, data) => log(channel, levels.info, text, data);
+/** @type {(channel: string, text: string, data?: Object<string, *>) => void} */
+export const debug = (channel, text, data) => log(channel, levels.debug, text, data);
+
+// The console is where records were always printed
+addSink(new ConsoleSink());
@@ -2,15 +2,28 @@ import * as ui from "./ui.js";
 import gameData from "./gameData.js";
 import * as utils from "./utils.js";
 import { Dice } from "./dice.js";
-import * as debug from "./debug.js";
-import { initPlayers } from "./player.js";
+import * as logger from "./logger.js";
+import { Match } from "./match.js";
+import * as save from "./save.js";
+import { Player } from "./player.js";
+import { LockstepSession } from "./network.js";
+import * as tween from "./tween.js";
+import * as audio from "./audio.js";
+import * as i18n from "./i18n.js";
+
+/** Turns are counted so that the game is saved only after a turn has been taken */
+let turnsSaved = 0;
 
 window.addEventListener("load", init);
 
 function init() {
   ui.setupUI();
+  audio.setupAudio();
   gameLoop();
-  debug.log(utils.StringParser.parseFormula("15+3*9"), 0);
+  if (save.hasSavedGame()) {
+    ui.addInfo(i18n.t("info.savedGameFound"), 10);
+  }
+  logger.debug(logger.channels.data, "Formula parser check", { result: utils.StringParser.parseFormula("15+3*9") });
 }
 
 /**
@@ -28,27 +41,158 @@ function gameLoop(realtimeSinceStartup) {
     data.deltaTime = data.totalRunTime - data.previousTotalRunTime;
     data.previousTotalRunTime = realtimeSinceStartup;
     // In case of any lags, restrict deltaTime to be reasonably large.
-    if (data.deltaTime > 1 / 10) data.deltaTime = 1 / 10;
+    if (data.deltaTime > 1 / 10) {
+      logger.debug(logger.channels.loop, `Frame took ${data.deltaTime.toFixed(3)}s`, { deltaTime: data.deltaTime });
+      data.deltaTime = 1 / 10;
+    }
     // Updates FPS
     data.fps = Math.round(1 / data.deltaTime);
 
     // Main body of the update
     updateGame();
+    tween.update(data.deltaTime);
+    audio.update();
     ui.update();
   }
 }
 
-function updateGame() {}
+function updateGame() {
+  // The match is frozen while a replay is shown
+  if (gameData.replay) return;
+  const match = gameData.match;
+  if (!match) return;
+
+  // Decisions of remote players are handed over before the match is updated
+  gameData.session?.update();
+  match.update(gameData.deltaTime);
+  // Autosaves, so that a refresh doesn't wipe out the match. Online matches can't be continued alone.
+  if (match.turnsTaken !== turnsSaved && !gameData.session) {
+    turnsSaved = match.turnsTaken;
+    if (save.saveToStorage()) logger.debug(logger.channels.loop, `Autosaved at turn ${turnsSaved}`);
+  }
+}
+
+/**
+ * A seed can be given as "?seed=12345" to reproduce a match.
+ * @returns The seed of the URL, or null if there is none or it isn't a valid seed
+ */
+function getUrlSeed() {
+  const param = new URLSearchParams(window.location.search).get("seed");
+  if (param === null) return null;
+  if (/^\d+$/.test(param) && Number(param) <= 0xffffffff) return Number(param);
+  logger.warn(logger.channels.loop, `Ignored the seed "${param}": seeds are integers from 0 to ${0xffffffff}`);
+  return null;
+}
 
 export function startGame() {
-  if (gameData.hasStarted) {
-    ui.addInfo(`You are already in game! (${new Date().toLocaleTimeString()})`, 2.5);
+  // A new game can be started once the previous one is over
+  if (gameData.hasStarted && !gameData.match?.isOver) {
+    ui.addInfo(i18n.t("info.alreadyInGame", { time: getTime() }), 2.5);
     return;
   }
-  ui.addInfo(`Game starts! (${new Date().toLocaleTimeString()})`, 10);
   gameData.hasStarted = true;
-  debug.log("Game starts!", 0);
+  gameData.session?.close();
+  gameData.session = null;
+  logger.info(logger.channels.loop, "Game starts!");
 
-  initPlayers();
-  ui.generateDices();
+  const seed = getUrlSeed();
+  gameData.match = new Match({
+    ...(seed === null ? {} : { seed: seed }),
+    seats: createSeats(ui.getMode(), ui.getDifficulty()),
+    draft: ui.isDraftSelected(),
+  });
+  ui.generateDraft();
+  gameData.match.start();
+  ui.addInfo(i18n.t("info.gameStarts", { seed: gameData.match.seed, time: getTime() }), 10);
+}
+
+/**
+ * Joins a room of the relay and starts a match with the other players of the room once it's full.
+ * The relay is given as "?relay=ws://host:port", and is ws://127.0.0.1:8080 by default.
+ * @param {string} room
+ */
+export async function playOnline(room) {
+  if (gameData.hasStarted && !gameData.match?.isOver) {
+    ui.addInfo(i18n.t("info.alreadyInGame", { time: getTime() }), 2.5);
+    return;
+  }
+  gameData.session?.close();
+  const session = new LockstepSession({
+    url: new URLSearchParams(window.location.search).get("relay") ?? undefined,
+    room: room,
+    matchOptions: { draft: ui.isDraftSelected() },
+  });
+  session.onStart = (match) => {
+    gameData.match = match;
+    gameData.hasStarted = true;
+    ui.generateDraft();
+    ui.addInfo(i18n.t("info.onlineGameStarts", { seed: match.seed, time: getTime() }), 10);
+  };
+  gameData.session = session;
+  try {
+    await session.connect();
+    ui.addInfo(i18n.t("info.joinedRoom", { room: room }), 10);
+  } catch (e) {
+    gameData.session = null;
+    ui.addInfo(e.message, 5);
+  }
+}
+
+/**
+ * @param {string} mode See {@link ui.getMode}
+ * @param {string} strategy Strategy of the computer players
+ * @returns {import("./player.js").Seat[]} The human player first, then the computer players
+ */
+function createSeats(mode, strategy) {
+  const human = { controller: Player.controllers.human };
+  const computer = { controller: Player.controllers.ai, strategy: strategy };
+  switch (mode) {
+    case "teams":
+      // Teams take turns alternately
+      return [
+        { ...human, team: 0 },
+        { ...computer, team: 1 },
+        { ...computer, team: 0, name: i18n.t("players.ally") },
+        { ...computer, team: 1 },
+      ];
+    case "free":
+      return [human, computer, computer, computer];
+    default:
+      return [human, computer];
+  }
+}
+
+/**
+ * @returns Current time, for the infos
+ */
+function getTime() {
+  return new Date().toLocaleTimeString(i18n.getLocale());
+}
+
+export function saveGame() {
+  if (!gameData.hasStarted) {
+    ui.addInfo(i18n.t("info.noGameToSave"), 2.5);
+    return;
+  }
+  if (gameData.session) {
+    ui.addInfo(i18n.t("info.onlineGameNotSaved"), 2.5);
+    return;
+  }
+  ui.addInfo(i18n.t(save.saveToStorage() ? "info.gameSaved" : "info.saveFailed"), 2.5);
+}
+
+export function loadGame() {
+  if (gameData.replay) {
+    ui.addInfo(i18n.t("info.exitReplayFirst"), 2.5);
+    return;
+  }
+  if (!save.loadFromStorage()) {
+    ui.addInfo(i18n.t("info.loadFailed"), 2.5);
+    return;
+  }
+  gameData.session?.close();
+  gameData.session = null;
+  turnsSaved = gameData.match?.turnsTaken ?? 0;
+  ui.generateDraft();
+  ui.addInfo(i18n.t("info.gameLoaded", { seed: gameData.match?.seed, time: getTime() }), 10);
 }
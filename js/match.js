@@ -0,0 +1,529 @@
+import * as logger from "./logger.js";
+import * as utils from "./utils.js";
+import { Dice, handleEvent } from "./dice.js";
+import { Player, players, initPlayers, resetPlayers } from "./player.js";
+import { MatchRecorder } from "./recorder.js";
+import { CombatLog } from "./combatLog.js";
+import { Draft } from "./draft.js";
+import { StatusEffect } from "./status.js";
+import * as messages from "./messages.js";
+
+/**
+ * Drives a match round by round. Every round goes through the phases in {@link Match.phaseOrder}.
+ * Except for "resolve", each phase gives every player one turn, following the `nextPlayer` ring.
+ * Drafted matches start with a "draft" phase, in which the turns follow the draft's order instead.
+ */
+export class Match {
+  static phases = { draft: "draft", roll: "roll", hide: "hide", reroll: "reroll", resolve: "resolve" };
+  static phaseOrder = [Match.phases.roll, Match.phases.hide, Match.phases.reroll, Match.phases.resolve];
+  /** Dispatched to every dice like the events of {@link Dice.events} */
+  static events = { gameOver: "gameOver" };
+  /**
+   * How dices are compared when a round is resolved:
+   * - rank: the players' dices are sorted by outcome and compared rank by rank. At each rank, the highest dice
+   *   destroys the lower ones. Nothing is destroyed at a rank where the highest outcomes are tied.
+   * - total: the player with the highest total outcome wins the round, and every other player loses their lowest dice
+   */
+  static resolutions = { rank: "rank", total: "total" };
+
+  /**
+   * @typedef {Object} Rules
+   * @property {string} resolution See {@link Match.resolutions}
+   * @property {number} pointsPerDestroy Scored by the owner of the dice that destroys another
+   * @property {number} pointsPerRoundWin Scored by the player with the highest total outcome of the round
+   * @property {number} targetScore The match is won by the leader once a player has scored this much
+   */
+  /** @type {Rules} */
+  static defaultRules = {
+    resolution: Match.resolutions.rank,
+    pointsPerDestroy: 1,
+    pointsPerRoundWin: 1,
+    targetScore: 10,
+  };
+
+  /**
+   * @param {Object} options
+   * @param {number} options.seed Seed for every random draw in the match. The same seed replays the same rolls.
+   * @param {number} options.turnDelay Seconds to wait after each turn
+   * @param {(import("./player.js").Seat | string | null)[]} options.seats Who plays, in the order of the turns.
+   * A strategy ("random", "greedy" or "lookahead") stands for a computer player and `null` for the human player.
+   * @param {number} options.maxRounds The match is over after this many rounds
+   * @param {boolean} options.record Whether to record the match for replays and keep a combat log
+   * @param {Partial<Rules>} options.rules Overrides {@link Match.defaultRules}
+   * @param {boolean} options.draft Whether the players draft their loadouts, instead of starting with random dices
+   * @param {Partial<import("./draft.js").LoadoutRules>} options.loadout Overrides {@link Draft.defaultRules}
+   */
+  constructor({
+    seed = utils.generateSeed(),
+    turnDelay = 1,
+    seats = [null, "greedy"],
+    maxRounds = Infinity,
+    record = true,
+    rules = {},
+    draft = false,
+    loadout = {},
+  } = {}) {
+    this.seed = seed >>> 0;
+    /** @type {Rules} */
+    this.rules = { ...Match.defaultRules, ...rules };
+    this.seats = seats;
+    this.isDrafted = draft;
+    /** @type {import("./draft.js").LoadoutRules} */
+    this.loadout = { ...Draft.defaultRules, ...loadout };
+    /** @type {Draft | null} Set when a drafted match starts */
+    this.draft = null;
+    this.maxRounds = maxRounds;
+    this.record = record;
+    /** Seconds to wait after each turn, so that the outcome can be seen */
+    this.turnDelay = turnDelay;
+    this.round = 0;
+    this.phase = null;
+    /** @type {Player} Player who starts the current round */
+    this.firstPlayer = null;
+    /** @type {Player} */
+    this.currentPlayer = null;
+    this.timer = 0;
+    /** Number of turns taken, including the resolve step of every round */
+    this.turnsTaken = 0;
+    this.hasStarted = false;
+    this.isOver = false;
+    /** @type {Player[]} Players of the winning side, set when the match is over. None means a draw. */
+    this.winners = [];
+    /** @type {MatchRecorder} */
+    this.recorder = null;
+    /** @type {CombatLog} */
+    this.log = null;
+  }
+
+  get players() {
+    return players;
+  }
+
+  start() {
+    if (this.hasStarted) return;
+    this.hasStarted = true;
+
+    // Seeds before anything random happens, including the starting dices
+    utils.setRandomSeed(this.seed);
+    logger.info(logger.channels.match, `Match seed: ${this.seed}`, { seed: this.seed });
+    resetPlayers();
+    // Unlike recordings, the log also tells the draft
+    if (this.record) {
+      this.log = new CombatLog(this).start();
+    }
+    initPlayers(this.seats, this.isDrafted ? { champions: 0, minions: 0 } : this.loadout);
+    this.firstPlayer = players[0];
+    if (this.isDrafted) {
+      this.draft = new Draft(players, this.loadout);
+      this.phase = Match.phases.draft;
+      this.currentPlayer = this.draft.currentPlayer;
+      messages.publish(messages.kinds.match, { change: "phase", round: this.round, phase: this.phase });
+      return;
+    }
+    this.startRounds();
+  }
+
+  /**
+   * Starts the first round once every player has their dices.
+   */
+  startRounds() {
+    // Recordings start with the final loadouts
+    if (this.record) {
+      this.recorder = new MatchRecorder(this).start();
+    }
+    messages.publish(messages.kinds.match, { change: "start", round: this.round });
+    this.startRound();
+  }
+
+  startRound() {
+    this.round++;
+    for (const dice of this.getActiveDices()) {
+      dice.value = null;
+      dice.isHidden = false;
+    }
+    logger.info(logger.channels.match, `Round ${this.round} starts`);
+    messages.publish(messages.kinds.match, { change: "round", round: this.round, player: this.firstPlayer });
+    this.startPhase(Match.phases.roll);
+  }
+
+  startPhase(phase) {
+    this.phase = phase;
+    this.currentPlayer = this.firstPlayer;
+    logger.debug(logger.channels.match, `Round ${this.round} - ${phase} phase`);
+    messages.publish(messages.kinds.match, { change: "phase", round: this.round, phase: phase });
+  }
+
+  /**
+   * Advances the match. Turns are only taken after `turnDelay` seconds have passed since the last one.
+   * @param {number} deltaTime In seconds
+   */
+  update(deltaTime) {
+    if (!this.hasStarted || this.isOver) return;
+
+    this.timer += deltaTime;
+    if (this.timer < this.turnDelay) return;
+
+    if (this.phase === Match.phases.resolve) {
+      this.resolve();
+      this.endRound();
+    } else if (this.takeTurn(this.currentPlayer)) {
+      this.endTurn();
+    }
+  }
+
+  /**
+   * @param {Player} player
+   * @returns Whether the turn has been taken. Human players may still be deciding.
+   */
+  takeTurn(player) {
+    switch (this.phase) {
+      case Match.phases.draft: {
+        const selected = player.selectDraft(this.draft);
+        if (selected === undefined) return false;
+        this.publishAction(player, { config: selected });
+        return this.draft.choose(selected);
+      }
+      case Match.phases.roll:
+        // Remote players confirm their rolls, so that every client takes the turn at the same time
+        if (player.isRemote() && player.selectDice(this.phase) === undefined) return false;
+        this.publishAction(player);
+        for (const dice of player.dices) {
+          if (!dice.isDestroyed) dice.roll();
+        }
+        return true;
+      case Match.phases.hide:
+      case Match.phases.reroll: {
+        const selected = player.selectDice(this.phase);
+        // Still waiting for the player to decide
+        if (selected === undefined) return false;
+        this.publishAction(player, { dice: selected });
+        // `null` means the player passes the turn
+        if (selected) {
+          this.phase === Match.phases.hide ? selected.hide() : selected.reroll();
+        }
+        return true;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @param {Player} player
+   * @param {{dice?: Dice | null, config?: Dice}} decision
+   */
+  publishAction(player, { dice = null, config = null } = {}) {
+    messages.publish(messages.kinds.action, { player: player, phase: this.phase, dice: dice, config: config });
+  }
+
+  endTurn() {
+    this.timer = 0;
+    this.turnsTaken++;
+    if (this.phase === Match.phases.draft) {
+      this.currentPlayer = this.draft.currentPlayer;
+      if (this.draft.isOver) {
+        this.draft.finish();
+        this.startRounds();
+      }
+      return;
+    }
+    // Turn-based effects and modifiers count the turns of their dice's owner
+    this.currentPlayer.dices.forEach((dice) => dice.tick(StatusEffect.units.turn));
+    this.currentPlayer = this.currentPlayer.nextPlayer;
+    // Everyone has taken their turn in this phase
+    if (this.currentPlayer === this.firstPlayer) {
+      this.startPhase(Match.phaseOrder[Match.phaseOrder.indexOf(this.phase) + 1]);
+    }
+  }
+
+  /**
+   * Reveals every dice, compares the dices according to `rules.resolution` and destroys the losers.
+   * Points are scored for every dice that is actually destroyed (e.g. a shield may absorb the destruction).
+   */
+  resolve() {
+    for (const dice of this.getActiveDices()) {
+      dice.isHidden = false;
+    }
+
+    // Compares the outcomes as they are before anything is destroyed, for the duels and for the round win
+    const duels =
+      this.rules.resolution === Match.resolutions.total ? this.getTotalDuels() : this.getRankDuels();
+    const roundWinners = getLeader(this.getSides(), getSideTotal);
+    for (const [winner, loser] of duels) {
+      if (loser.isDestroyed) continue;
+      loser.destroy(winner);
+      if (loser.isDestroyed) {
+        winner.owner.score += this.rules.pointsPerDestroy;
+      }
+    }
+
+    roundWinners?.forEach((player) => (player.score += this.rules.pointsPerRoundWin));
+    logger.info(logger.channels.match, `Round ${this.round} resolved`, {
+      scores: Object.fromEntries(players.map((player) => [player.name, player.score])),
+    });
+  }
+
+  /**
+   * @returns {Player[][]} Players grouped by team, in the order of `players`. Players without a team are alone.
+   */
+  getSides() {
+    const sides = [];
+    for (const player of players) {
+      const side = sides.find((side) => side[0].isAllyOf(player));
+      side ? side.push(player) : sides.push([player]);
+    }
+    return sides;
+  }
+
+  /**
+   * @returns {[Dice, Dice][]} Pairs of a winning dice and a dice it destroys, following the "rank" resolution
+   */
+  getRankDuels() {
+    const ranked = players.map((player) => getActiveDices(player).sort((a, b) => (b.value ?? 0) - (a.value ?? 0)));
+    const duels = [];
+    const ranks = Math.max(0, ...ranked.map((dices) => dices.length));
+    for (let rank = 0; rank < ranks; rank++) {
+      // Players who are out of dices at this rank don't take part
+      const contenders = ranked.map((dices) => dices[rank]).filter((dice) => dice);
+      const best = Math.max(...contenders.map((dice) => dice.value ?? 0));
+      const leaders = contenders.filter((dice) => (dice.value ?? 0) === best);
+      // Allies tied for the highest outcome win together, but nobody wins a tie between opponents
+      if (!leaders.every((dice) => dice.isAlly(leaders[0]))) continue;
+      for (const dice of contenders) {
+        if (!dice.isAlly(leaders[0])) duels.push([leaders[0], dice]);
+      }
+    }
+    return duels;
+  }
+
+  /**
+   * @returns {[Dice, Dice][]} Pairs of a winning dice and a dice it destroys, following the "total" resolution
+   */
+  getTotalDuels() {
+    const winners = getLeader(this.getSides(), getSideTotal);
+    if (!winners) return [];
+    // The winning side's highest dice destroys the lowest dice of every opponent
+    const [best] = winners.flatMap(getActiveDices).sort((a, b) => (b.value ?? 0) - (a.value ?? 0));
+    return players
+      .filter((player) => !winners.includes(player))
+      .map((player) => [best, getActiveDices(player).sort((a, b) => (a.value ?? 0) - (b.value ?? 0))[0]])
+      .filter(([, loser]) => loser);
+  }
+
+  /**
+   * A side (a team, or a player without a team) wins when every other side has run out of dices. Otherwise, once a
+   * side has reached the target score or the last round is over, the side with the highest score wins.
+   * Scores of a side are the sums of its players' scores.
+   * @returns {{winners: Player[]} | null} Result if the match is over, `null` otherwise. No winners is a draw.
+   */
+  getResult() {
+    const sides = this.getSides();
+    const remaining = sides.filter((side) => side.some((player) => getActiveDices(player).length > 0));
+    if (remaining.length <= 1) {
+      return { winners: remaining[0] ?? [] };
+    }
+    if (sides.some((side) => getSideScore(side) >= this.rules.targetScore) || this.round >= this.maxRounds) {
+      return { winners: getLeader(sides, getSideScore) ?? [] };
+    }
+    return null;
+  }
+
+  endRound() {
+    this.timer = 0;
+    this.turnsTaken++;
+    this.getActiveDices().forEach((dice) => dice.tick(StatusEffect.units.round));
+    const result = this.getResult();
+    if (result) {
+      this.end(result.winners);
+      return;
+    }
+    // The next player in the ring starts the next round
+    this.firstPlayer = this.firstPlayer.nextPlayer;
+    this.startRound();
+  }
+
+  /**
+   * Fires "gameOver". Cancelling it doesn't prevent the match from ending.
+   * @param {Player[]} winners Players of the winning side. None for a draw.
+   */
+  end(winners = []) {
+    this.isOver = true;
+    this.winners = winners;
+    handleEvent(Match.events.gameOver, {
+      // Referenced by their index in `players`
+      winners: winners.map((player) => players.indexOf(player)),
+      scores: players.map((player) => player.score),
+    });
+    this.recorder?.stop();
+    const result = winners.length > 0 ? `${winners.join(", ")} won` : "draw";
+    logger.info(logger.channels.match, `Match is over after ${this.round} rounds - ${result}`);
+    messages.publish(messages.kinds.match, { change: "end", round: this.round, players: winners });
+    this.log?.stop();
+  }
+
+  /**
+   * Plays the match until it's over, without waiting between turns. Requires all players to be local computers.
+   * @param {(match: Match) => void} onStep Optional callback before every step
+   * @returns this
+   */
+  runToEnd(onStep) {
+    if (!this.hasStarted) this.start();
+    const turnDelay = this.turnDelay;
+    this.turnDelay = 0;
+    while (!this.isOver) {
+      if (players.some((player) => this.isWaitingFor(player) && player.isHuman())) {
+        throw new Error("runToEnd() can't wait for a human player");
+      }
+      if (this.currentPlayer?.isRemote()) {
+        throw new Error("runToEnd() can't wait for a remote player");
+      }
+      onStep?.(this);
+      this.update(0);
+    }
+    this.turnDelay = turnDelay;
+    return this;
+  }
+
+  /**
+   * @param {Player} player
+   * @returns Whether the match is waiting for `player` to select a dice
+   */
+  isWaitingFor(player) {
+    return (
+      this.hasStarted &&
+      !this.isOver &&
+      this.currentPlayer === player &&
+      (this.phase === Match.phases.draft || this.phase === Match.phases.hide || this.phase === Match.phases.reroll)
+    );
+  }
+
+  /**
+   * Players are referenced by their index in `players`.
+   */
+  toJSON() {
+    return {
+      seed: this.seed,
+      turnDelay: this.turnDelay,
+      seats: this.seats,
+      isDrafted: this.isDrafted,
+      loadout: this.loadout,
+      draft: this.draft,
+      maxRounds: this.maxRounds,
+      rules: this.rules,
+      round: this.round,
+      phase: this.phase,
+      firstPlayer: players.indexOf(this.firstPlayer),
+      currentPlayer: players.indexOf(this.currentPlayer),
+      timer: this.timer,
+      turnsTaken: this.turnsTaken,
+      hasStarted: this.hasStarted,
+      isOver: this.isOver,
+      winners: this.winners.map((player) => players.indexOf(player)),
+      recording: this.recorder,
+      log: this.log,
+    };
+  }
+
+  /**
+   * Rebuilds a match saved by {@link toJSON}. `players` must be restored first.
+   * @param {ReturnType<Match["toJSON"]>} data
+   * @returns {Match}
+   */
+  static fromJSON(data) {
+    const rules = { ...data.rules };
+    // JSON turns Infinity into null
+    if (rules.targetScore === null) rules.targetScore = Infinity;
+    const match = new Match({
+      seed: data.seed,
+      turnDelay: data.turnDelay,
+      // Matches saved before seats were introduced only had strategies
+      seats: data.seats ?? data.strategies,
+      draft: data.isDrafted ?? false,
+      loadout: data.loadout,
+      // JSON turns Infinity into null
+      maxRounds: data.maxRounds ?? Infinity,
+      rules: rules,
+    });
+    utils.assign(match, data, [
+      "seed",
+      "turnDelay",
+      "seats",
+      "strategies",
+      "isDrafted",
+      "loadout",
+      "draft",
+      "maxRounds",
+      "rules",
+      "firstPlayer",
+      "currentPlayer",
+      "winners",
+      "recording",
+      "log",
+    ]);
+    match.firstPlayer = players[data.firstPlayer] ?? null;
+    match.currentPlayer = players[data.currentPlayer] ?? null;
+    match.winners = (data.winners ?? []).map((index) => players[index]).filter((player) => player);
+    if (data.draft) {
+      match.draft = Draft.fromJSON(data.draft, players);
+    }
+    if (data.recording) {
+      match.recorder = new MatchRecorder(match).resume(data.recording);
+    }
+    if (data.log) {
+      match.log = CombatLog.fromJSON(data.log, match);
+      if (!match.isOver) match.log.start();
+    }
+    return match;
+  }
+
+  /**
+   * @returns {Dice[]} Dices of all players that haven't been destroyed
+   */
+  getActiveDices() {
+    return players.flatMap((player) => player.dices).filter((dice) => !dice.isDestroyed);
+  }
+}
+
+/**
+ * @param {Player} player
+ * @returns {Dice[]} Dices of `player` that haven't been destroyed
+ */
+function getActiveDices(player) {
+  return player.dices.filter((dice) => !dice.isDestroyed);
+}
+
+/**
+ * @param {Player} player
+ * @returns Sum of the outcomes of the player's remaining dices
+ */
+function getTotal(player) {
+  return getActiveDices(player).reduce((sum, dice) => sum + (dice.value ?? 0), 0);
+}
+
+/**
+ * @param {Player[]} side
+ * @returns Sum of the totals of the side's players
+ */
+function getSideTotal(side) {
+  return side.reduce((sum, player) => sum + getTotal(player), 0);
+}
+
+/**
+ * @param {Player[]} side
+ * @returns Sum of the scores of the side's players
+ */
+function getSideScore(side) {
+  return side.reduce((sum, player) => sum + player.score, 0);
+}
+
+/**
+ * @template T
+ * @param {T[]} candidates
+ * @param {(candidate: T) => number} measure
+ * @returns {T | null} The only candidate with the highest measure, or `null` if it's tied
+ */
+function getLeader(candidates, measure) {
+  const measures = candidates.map(measure);
+  const best = Math.max(...measures);
+  const leaders = candidates.filter((candidate, index) => measures[index] === best);
+  return leaders.length === 1 ? leaders[0] : null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Message bus between the game logic and whatever presents it (the page, loggers, tests...).
+ * Game logic publishes structured messages and never formats them for a specific output.
+ */
+
+/**
+ * Kinds of messages and their payloads:
+ * - info:     { text } Generic message for the player
+ * - ability:  { source, target, trigger, text } An ability has been applied. `text` is its filled-in message.
+ * - modify:   { source, target, stat, before, after } A value of `target` has been changed by `source`
+ * - status:   { target, status, change: "add" | "expire" } A status effect has been added or has expired
+ * - event:    { type, data, isCancelled } A dice event has been handled. See Dice.events.
+ * - match:    { change, round, phase, player } The match has moved on, e.g. `change` is "round" or "phase"
+ * - action:   { player, phase, dice, config } A player has decided their turn, right before it's taken.
+ *             `dice` is the selected dice (`null` to pass) and `config` the drafted entry of `configs.all`.
+ */
+export const kinds = {
+  info: "info",
+  ability: "ability",
+  modify: "modify",
+  status: "status",
+  event: "event",
+  match: "match",
+  action: "action",
+};
+
+/** Subscribers of all kinds are stored under "*"
+ * @type {Object<string, Function[]>} */
+const subscribers = {};
+let isSuppressed = false;
+
+/**
+ * @param {string} kind See {@link kinds}, or "*" for every message
+ * @param {(message: {kind: string}) => void} handler
+ * @returns {Function} Call it to unsubscribe
+ */
+export function subscribe(kind, handler) {
+  (subscribers[kind] ??= []).push(handler);
+  return () => unsubscribe(kind, handler);
+}
+
+export function unsubscribe(kind, handler) {
+  const handlers = subscribers[kind];
+  if (!handlers) return;
+  const index = handlers.indexOf(handler);
+  if (index !== -1) {
+    handlers.splice(index, 1);
+  }
+}
+
+/**
+ * Delivers a message to the subscribers of its kind, then to those of every kind.
+ * @param {string} kind See {@link kinds}
+ * @param {Object} payload
+ * @returns The message, or `null` if messages are suppressed
+ */
+export function publish(kind, payload = {}) {
+  if (isSuppressed) return null;
+  const message = { kind: kind, ...payload };
+  for (const handler of [...(subscribers[kind] ?? []), ...(subscribers["*"] ?? [])]) {
+    handler(message);
+  }
+  return message;
+}
+
+/**
+ * While suppressed, nothing is published, e.g. during simulations.
+ * @param {boolean} value
+ * @returns Whether messages were suppressed before
+ */
+export function setSuppressed(value) {
+  const wasSuppressed = isSuppressed;
+  isSuppressed = value;
+  return wasSuppressed;
+}
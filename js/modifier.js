@@ -0,0 +1,80 @@
+/**
+ * Change to one of a dice's values (its range or its outcome), tagged with the dice that caused it.
+ * Effective values are computed from the base values and every modifier, so that changes can be undone and explained.
+ */
+export class Modifier {
+  /** Values that can be modified. They are the names of the properties on {@link Dice}. */
+  static stats = { value: "value", minValue: "minValue", maxValue: "maxValue" };
+  /** Additive modifiers are summed up first, then the result is multiplied by every multiplicative modifier */
+  static operations = { add: "add", multiply: "multiply" };
+
+  /**
+   * @param {string} stat See {@link Modifier.stats}
+   * @param {string} operation See {@link Modifier.operations}
+   * @param {number} amount Added, or multiplied by
+   * @param {Object} options
+   * @param {string} options.source UUID of the dice that applied the modifier
+   * @param {string} options.sourceName Name of the source, to explain the modifier
+   * @param {number} options.duration In `unit`s. Infinity by default.
+   * @param {string} options.unit "turn" or "round", as for status effects
+   */
+  constructor(stat, operation, amount, { source = null, sourceName = "", duration = Infinity, unit = "round" } = {}) {
+    this.stat = stat;
+    this.operation = operation;
+    this.amount = amount;
+    this.source = source;
+    this.sourceName = sourceName;
+    this.duration = duration;
+    this.unit = unit;
+  }
+
+  /**
+   * Counts down the duration if `unit` matches.
+   * @param {string} unit
+   * @returns Whether the modifier has expired
+   */
+  tick(unit) {
+    if (unit === this.unit) {
+      this.duration--;
+    }
+    return this.duration <= 0;
+  }
+
+  toString() {
+    const amount =
+      this.operation === Modifier.operations.multiply
+        ? `x${this.amount}`
+        : `${this.amount >= 0 ? "+" : ""}${this.amount}`;
+    return `${this.sourceName || "Unknown"} ${amount}`;
+  }
+
+  /**
+   * JSON turns Infinity into null, so permanent modifiers are saved with a duration of `null`.
+   */
+  toJSON() {
+    return { ...this, duration: this.duration === Infinity ? null : this.duration };
+  }
+
+  static fromJSON(data) {
+    return new Modifier(data.stat, data.operation, data.amount, { ...data, duration: data.duration ?? Infinity });
+  }
+}
+
+/**
+ * @param {number | null} base
+ * @param {Modifier[]} modifiers Modifiers of the same stat
+ * @returns Effective value, rounded down. `null` stays `null` (e.g. a dice that hasn't been rolled).
+ */
+export function applyModifiers(base, modifiers) {
+  if (base === null || base === undefined) return base;
+  let sum = base;
+  let factor = 1;
+  for (const modifier of modifiers) {
+    if (modifier.operation === Modifier.operations.add) {
+      sum += modifier.amount;
+    } else if (modifier.operation === Modifier.operations.multiply) {
+      factor *= modifier.amount;
+    }
+  }
+  return Math.floor(sum * factor);
+}
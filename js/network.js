@@ -0,0 +1,293 @@
+import * as logger from "./logger.js";
+import * as utils from "./utils.js";
+import * as messages from "./messages.js";
+import * as i18n from "./i18n.js";
+import { Match } from "./match.js";
+import { Player, players } from "./player.js";
+import { configs } from "./dice.js";
+
+/**
+ * Networked matches run in lockstep: every client plays the same match from the same seed, and only the players'
+ * decisions are exchanged. Since every random draw comes from the seeded generator, handling the same decisions in
+ * the same order gives the same events on every client. Clients talk through a relay (see relay.js).
+ */
+
+/** Clients with another version of the protocol can't play together */
+export const protocolVersion = 1;
+
+/**
+ * Messages exchanged by clients. The relay adds the sender's `seat` to each of them.
+ * - hello:  { version, seed, seats, options } The host (first client of the room) proposes a match once the room is
+ *           full. `seats` are the relay seats of the players, in the order of the turns.
+ * - ready:  { version } A client accepts the proposal
+ * - start:  {} The host starts the match once every client is ready
+ * - action: { turn, phase, player, dice, config, hash } Decision of a player. `turn` is the number of turns taken
+ *           before it, `dice` the index of the selected dice in the player's dices (`null` to pass), `config` the
+ *           name of the drafted dice and `hash` the hash of the state the decision was made in.
+ * - desync: { turn, hash } A client's state differs from the sender's
+ */
+export const messageTypes = {
+  hello: "hello",
+  ready: "ready",
+  start: "start",
+  action: "action",
+  desync: "desync",
+};
+
+/**
+ * @param {Match} match
+ * @returns Hash of everything that must be the same on every client. UUIDs and names are left out, since they are
+ * generated on each client.
+ */
+export function hashState(match) {
+  const dices = players.flatMap((player) => player.dices);
+  const indices = new Map(dices.map((dice, index) => [dice.uuid, index]));
+  const state = {
+    round: match.round,
+    phase: match.phase,
+    turnsTaken: match.turnsTaken,
+    random: utils.getRandomState(),
+    scores: players.map((player) => player.score),
+    draft: match.draft,
+    dices: dices.map((dice) => [dice.name, dice.getState()]),
+  };
+  // Sources of modifiers and status effects are UUIDs
+  const json = JSON.stringify(state, (key, value) =>
+    typeof value === "string" && indices.has(value) ? indices.get(value) : value
+  );
+  return utils.hashString(json);
+}
+
+export class LockstepSession {
+  static states = { connecting: "connecting", waiting: "waiting", playing: "playing", closed: "closed" };
+
+  /**
+   * @param {Object} options
+   * @param {string} options.url Address of the relay, e.g. "ws://127.0.0.1:8080"
+   * @param {string} options.room Clients of the same room play together
+   * @param {number} options.playerCount The match starts once this many clients have joined the room
+   * @param {Object} options.matchOptions Passed to the {@link Match} by the host, except for the seed and seats.
+   * `teams` may give the team of each player.
+   * @param {typeof WebSocket} options.WebSocket Node 20 has no global WebSocket
+   */
+  constructor({
+    url = "ws://127.0.0.1:8080",
+    room = "default",
+    playerCount = 2,
+    matchOptions = {},
+    WebSocket = globalThis.WebSocket,
+  } = {}) {
+    this.url = url;
+    this.room = room;
+    this.playerCount = playerCount;
+    this.matchOptions = matchOptions;
+    this.WebSocket = WebSocket;
+    this.state = LockstepSession.states.connecting;
+    /** Seat given by the relay */
+    this.seat = -1;
+    /** Relay seats of the clients in the room */
+    this.peers = [];
+    /** Match proposed by the host, see {@link messageTypes} */
+    this.proposal = null;
+    /** Relay seats of the clients that have accepted the host's proposal */
+    this.readyPeers = new Set();
+    /** @type {Match | null} */
+    this.match = null;
+    /** @type {Player | null} Player controlled by this client */
+    this.localPlayer = null;
+    /** Decisions of remote players, waiting for the match to reach their turn */
+    this.pendingActions = [];
+    /** Turn at which a desync has been detected, if any */
+    this.desyncTurn = null;
+    /** @type {(match: Match) => void} Called when the match starts */
+    this.onStart = null;
+    this.socket = null;
+    this.unsubscribe = null;
+  }
+
+  get isHost() {
+    return this.peers.length > 0 && this.seat === Math.min(...this.peers);
+  }
+
+  /**
+   * @returns {Promise<LockstepSession>} Resolves once the room has been joined
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = new this.WebSocket(this.url);
+      this.socket.addEventListener("open", () => this.send({ type: "join", room: this.room }));
+      this.socket.addEventListener("message", (event) => {
+        const message = JSON.parse(event.data);
+        this.handleMessage(message);
+        if (message.type === "joined") resolve(this);
+      });
+      this.socket.addEventListener("error", () =>
+        reject(new Error(i18n.t("info.connectionFailed", { url: this.url })))
+      );
+      this.socket.addEventListener("close", () => this.close());
+    });
+  }
+
+  close() {
+    if (this.state === LockstepSession.states.closed) return;
+    this.state = LockstepSession.states.closed;
+    this.unsubscribe?.();
+    this.socket?.close();
+  }
+
+  /**
+   * @param {Object} message Sent as JSON
+   */
+  send(message) {
+    if (this.socket?.readyState !== 1) return;
+    this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * @param {Object} message Message from the relay or from another client
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "joined":
+        this.seat = message.seat;
+        this.peers = message.peers;
+        this.state = LockstepSession.states.waiting;
+        this.proposeMatch();
+        break;
+      case "peerJoined":
+        this.peers.push(message.seat);
+        this.proposeMatch();
+        break;
+      case "peerLeft":
+        this.peers = this.peers.filter((seat) => seat !== message.seat);
+        messages.publish(messages.kinds.info, { text: i18n.t("info.playerLeft", { number: message.seat + 1 }) });
+        // A proposal with a seat that has left can't start. The host (who may have just changed) proposes again once
+        // the room is full, otherwise clients joining later would wait forever.
+        if (!this.match && this.proposal?.seats.includes(message.seat)) {
+          this.proposal = null;
+          this.readyPeers.clear();
+          this.proposeMatch();
+        }
+        break;
+      case messageTypes.hello:
+        if (message.version !== protocolVersion) {
+          messages.publish(messages.kinds.info, { text: i18n.t("info.hostVersion") });
+          this.close();
+          return;
+        }
+        this.proposal = message;
+        this.send({ type: messageTypes.ready, version: protocolVersion });
+        break;
+      case messageTypes.ready:
+        if (!this.isHost || !this.proposal) return;
+        this.readyPeers.add(message.seat);
+        if (this.proposal.seats.every((seat) => seat === this.seat || this.readyPeers.has(seat))) {
+          this.send({ type: messageTypes.start });
+          this.startMatch(this.proposal);
+        }
+        break;
+      case messageTypes.start:
+        if (this.proposal) this.startMatch(this.proposal);
+        break;
+      case messageTypes.action:
+        this.pendingActions.push(message);
+        break;
+      case messageTypes.desync:
+        this.reportDesync(message.turn);
+        break;
+      case "error":
+        logger.error(logger.channels.network, `Relay error: ${message.message}`);
+        break;
+    }
+  }
+
+  /**
+   * The host proposes a match with a new seed once the room is full.
+   */
+  proposeMatch() {
+    if (!this.isHost || this.proposal || this.peers.length < this.playerCount) return;
+    this.proposal = {
+      type: messageTypes.hello,
+      version: protocolVersion,
+      seed: utils.generateSeed(),
+      seats: [...this.peers].sort((a, b) => a - b).slice(0, this.playerCount),
+      options: this.matchOptions,
+    };
+    this.send(this.proposal);
+  }
+
+  /**
+   * @param {{seed: number, seats: number[], options: Object}} proposal
+   */
+  startMatch({ seed, seats, options }) {
+    if (this.match) return;
+    const { teams = [], ...matchOptions } = options;
+    const localIndex = seats.indexOf(this.seat);
+    this.match = new Match({
+      ...matchOptions,
+      seed: seed,
+      seats: seats.map((seat, index) => ({
+        controller: index === localIndex ? Player.controllers.human : Player.controllers.remote,
+        name: index === localIndex ? i18n.t("players.you") : i18n.t("players.player", { number: index + 1 }),
+        team: teams[index] ?? null,
+      })),
+    });
+    this.unsubscribe = messages.subscribe(messages.kinds.action, (message) => this.sendAction(message));
+    this.state = LockstepSession.states.playing;
+    this.match.start();
+    this.localPlayer = players[localIndex];
+    this.onStart?.(this.match);
+  }
+
+  /**
+   * Sends the decisions of the local player to the other clients.
+   * @param {{player: Player, phase: string, dice: import("./dice.js").Dice | null, config: import("./dice.js").Dice | null}} message
+   */
+  sendAction({ player, phase, dice, config }) {
+    if (player !== this.localPlayer || !this.match) return;
+    this.send({
+      type: messageTypes.action,
+      turn: this.match.turnsTaken,
+      phase: phase,
+      player: players.indexOf(player),
+      dice: dice ? player.dices.indexOf(dice) : null,
+      config: config?.name ?? null,
+      hash: hashState(this.match),
+    });
+  }
+
+  /**
+   * Hands the decisions of remote players to the match once it has reached their turns. Call it before every
+   * update of the match.
+   */
+  update() {
+    const match = this.match;
+    if (!match || match.isOver) return;
+    const index = this.pendingActions.findIndex((action) => action.turn === match.turnsTaken);
+    if (index === -1) return;
+    const action = this.pendingActions[index];
+    const player = players[action.player];
+    if (!player?.isRemote() || match.currentPlayer !== player || match.phase !== action.phase) return;
+
+    this.pendingActions.splice(index, 1);
+    if (action.hash !== hashState(match)) {
+      this.reportDesync(action.turn);
+      this.send({ type: messageTypes.desync, turn: action.turn, hash: hashState(match) });
+    }
+    if (action.config !== null) {
+      player.pendingSelection = configs.all.find((config) => config.name === action.config);
+    } else {
+      player.pendingSelection = action.dice === null ? null : player.dices[action.dice];
+    }
+  }
+
+  /**
+   * @param {number} turn
+   */
+  reportDesync(turn) {
+    if (this.desyncTurn !== null) return;
+    this.desyncTurn = turn;
+    logger.error(logger.channels.network, `Desync detected at turn ${turn}`, { turn: turn });
+    messages.publish(messages.kinds.info, { text: i18n.t("info.desync", { turn: turn }) });
+  }
+}
@@ -1,29 +1,100 @@
-import { Dice } from "./dice.js";
+import * as logger from "./logger.js";
+import { Dice, configs } from "./dice.js";
 import * as dice from "./dice.js";
 import { getRandomElement, getRandomString } from "./utils.js";
+import { Strategy, createStrategy } from "./ai.js";
+import * as i18n from "./i18n.js";
 
 /** @type {Player[]} */
 export const players = [];
 
-export function initPlayers() {
-  // Creates Player objects for the player and computer
-  let player = new Player("You");
-  let computer = new Player("The opponent");
-  // Stores the objects in `players` array
-  players.push(player, computer);
+/**
+ * Empties the registries of players and dices, e.g. before a new match.
+ */
+export function resetPlayers() {
+  players.length = 0;
+  dice.dices.length = 0;
+}
+
+/**
+ * @typedef {Object} Seat
+ * @property {string} controller See {@link Player.controllers}
+ * @property {string} [strategy] Strategy of a computer player. See {@link createStrategy}.
+ * @property {string} [name] Generated from the controller by default
+ * @property {number | string | null} [team] Players of the same team are allies. `null` is a team of one.
+ */
+
+/**
+ * @param {Seat | string | null} seat A strategy stands for a computer player and `null` for the human player
+ * @returns {Seat}
+ */
+export function createSeat(seat) {
+  if (seat === null) return { controller: Player.controllers.human };
+  if (typeof seat === "string") return { controller: Player.controllers.ai, strategy: seat };
+  return { controller: Player.controllers.ai, ...seat };
+}
+
+/**
+ * Creates a player for each seat, in the order of the `nextPlayer` ring.
+ * @param {(Seat | string | null)[]} seats See {@link createSeat}
+ * @param {Object} loadout How many random dices each player starts with. Drafted loadouts start empty.
+ * @param {number} loadout.champions
+ * @param {number} loadout.minions
+ */
+export function initPlayers(seats = [null, "greedy"], { champions = 2, minions = 4 } = {}) {
+  seats = seats.map(createSeat);
+  const humans = seats.filter((seat) => seat.controller === Player.controllers.human).length;
+  const created = seats.map((seat, index) => {
+    const player = new Player(seat.name ?? getDefaultName(seat, index, seats.length, humans));
+    player.controller = seat.controller;
+    player.team = seat.team ?? null;
+    if (seat.controller === Player.controllers.ai) {
+      player.strategy = createStrategy(seat.strategy);
+    }
+    return player;
+  });
+  players.push(...created);
   // Sets up their next player
   players.forEach((element, index, array) => {
     element.nextPlayer = array[(index + 1) % array.length];
-    // * Random starting dices. Allows repetitive dices (temporarily)
-    // Adds two champions and four minions
-    const dices = [...getRandomElement(dice.configs.champions, 2), ...getRandomElement(dice.configs.minions, 4)].map(
+    // Random starting dices, unless they are drafted. Allows repetitive dices.
+    const draw = (array, count) => Array.from({ length: count }, () => getRandomElement(array));
+    const dices = [...draw(configs.champions, champions), ...draw(configs.minions, minions)].map(
       (dice) => new Dice(dice)
     );
     element.addDice(...dices);
   });
 }
 
+/**
+ * "You" against "The opponent" in a duel, numbered names otherwise. Names are given in the current locale.
+ * @param {Seat} seat
+ * @param {number} index
+ * @param {number} count Number of seats
+ * @param {number} humans Number of human seats
+ */
+function getDefaultName(seat, index, count, humans) {
+  switch (seat.controller) {
+    case Player.controllers.human:
+      return humans === 1 ? i18n.t("players.you") : i18n.t("players.player", { number: index + 1 });
+    case Player.controllers.remote:
+      return i18n.t("players.remotePlayer", { number: index + 1 });
+    default:
+      return count === 2 && humans === 1
+        ? i18n.t("players.opponent")
+        : i18n.t("players.computer", { number: index + 1 });
+  }
+}
+
 export class Player {
+  /**
+   * Who makes the decisions of a player:
+   * - human: someone on this device, through {@link select} and {@link pass}
+   * - ai: the player's {@link strategy}
+   * - remote: someone on another device. Their selections are set by the network, like a human's.
+   */
+  static controllers = { human: "human", ai: "ai", remote: "remote" };
+
   /**
    * @param {string} name
    * @param {Dice[]} dices It's a Dice array. Do not pass by spread syntax!
@@ -35,6 +106,18 @@ export class Player {
     this.addDice(...dices);
 
     this.nextPlayer = null;
+    /** See {@link Player.controllers} */
+    this.controller = Player.controllers.ai;
+    /** @type {number | string | null} Players of the same team are allies. `null` is a team of one. */
+    this.team = null;
+    /** Points scored in the current match */
+    this.score = 0;
+    /** Selection made by a human player, picked up by {@link selectDice}. `null` means passing the turn.
+     * @type {Dice | null | undefined} */
+    this.pendingSelection = undefined;
+    /** Decides for computer players
+     * @type {Strategy} */
+    this.strategy = createStrategy("random");
   }
   get dices() {
     return this.champions.concat(this.minions);
@@ -54,7 +137,7 @@ export class Player {
       } else if (_dice.type === Dice.type.minion) {
         this.minions.push(_dice);
       } else {
-        debug.log(`Failed to add ${_dice} to ${this} - Invalid type "${_dice.type}"`, 0);
+        logger.error(logger.channels.data, `Failed to add ${_dice} to ${this} - Invalid type "${_dice.type}"`);
         return;
       }
       _dice.owner = this;
@@ -71,15 +154,106 @@ export class Player {
     return false;
   }
 
+  toJSON() {
+    return {
+      name: this.name,
+      controller: this.controller,
+      team: this.team,
+      strategy: this.strategy,
+      score: this.score,
+      dices: this.dices,
+    };
+  }
+
+  /**
+   * Rebuilds a player saved by {@link toJSON}. `nextPlayer` has to be linked afterwards.
+   * @param {ReturnType<Player["toJSON"]>} data
+   * @returns {Player}
+   */
+  static fromJSON(data) {
+    const player = new Player(data.name, data.dices.map((dice) => Dice.fromJSON(dice)));
+    // Saves without controllers recognized the human player by name
+    player.controller =
+      data.controller ?? (data.name.toLowerCase() === "you" ? Player.controllers.human : Player.controllers.ai);
+    player.team = data.team ?? null;
+    player.strategy = createStrategy(data.strategy);
+    player.score = data.score ?? 0;
+    return player;
+  }
+
   toString() {
     return `Player ${this.name}`;
   }
 
-  selectDice() {
-    // TODO:
+  /**
+   * @param {string} action "hide" or "reroll"
+   * @returns {Dice[]} Dices that can be selected for `action`
+   */
+  getSelectableDices(action) {
+    return this.dices.filter((dice) => !dice.isDestroyed && !(action === "hide" && dice.isHidden));
+  }
+
+  /**
+   * Human and remote players select through {@link select} or {@link pass}; computer players ask their {@link strategy}.
+   * @param {string} action "hide" or "reroll"
+   * @returns {Dice | null | undefined} Selected dice, `null` to pass, or `undefined` if not decided yet.
+   */
+  selectDice(action) {
+    const selectable = this.getSelectableDices(action);
+    if (this.controller !== Player.controllers.ai) {
+      const selection = this.pendingSelection;
+      this.pendingSelection = undefined;
+      // Ignores selections that are no longer valid
+      if (selection && !selectable.includes(selection)) return undefined;
+      return selection;
+    }
+    return this.strategy.selectDice(this, action, selectable);
+  }
+
+  /**
+   * Human and remote players choose through {@link select}; computer players ask their {@link strategy}.
+   * @param {import("./draft.js").Draft} draft Draft in which the player has to choose
+   * @returns {Dice | undefined} Chosen entry of `configs.all`, or `undefined` if not decided yet
+   */
+  selectDraft(draft) {
+    const available = draft.getAvailable();
+    if (this.controller !== Player.controllers.ai) {
+      const selection = this.pendingSelection;
+      this.pendingSelection = undefined;
+      return available.includes(selection) ? selection : undefined;
+    }
+    return this.strategy.draftDice(this, draft.currentAction, available);
   }
 
+  /**
+   * @param {Dice} dice Dice to use for the current action, or entry of `configs.all` to draft
+   */
+  select(dice) {
+    if (this.ownsDice(dice) || configs.all.includes(dice)) {
+      this.pendingSelection = dice;
+    }
+  }
+
+  pass() {
+    this.pendingSelection = null;
+  }
+
+  /**
+   * @returns Whether the player is controlled by someone on this device
+   */
   isHuman() {
-    return this.name.toLowerCase() === "you";
+    return this.controller === Player.controllers.human;
+  }
+
+  isRemote() {
+    return this.controller === Player.controllers.remote;
+  }
+
+  /**
+   * @param {Player} other
+   * @returns Whether `other` is this player or a player of the same team
+   */
+  isAllyOf(other) {
+    return other === this || (this.team !== null && this.team === other?.team);
   }
 }
@@ -0,0 +1,195 @@
+import * as logger from "./logger.js";
+import { Dice, dices, findDice, addEventObserver, removeEventObserver } from "./dice.js";
+import { Player } from "./player.js";
+
+/**
+ * Converts an event's data into plain data. Dices are referenced by UUID and players by name.
+ * @param {Object} data
+ */
+function serializeData(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => {
+      if (value instanceof Dice) return [key, { dice: value.uuid }];
+      if (value instanceof Player) return [key, { player: value.name }];
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * @returns Snapshots of every dice in the registry, keyed by UUID
+ */
+function takeSnapshot() {
+  const states = {};
+  for (const dice of dices) {
+    states[dice.uuid] = dice.getState();
+  }
+  return states;
+}
+
+/**
+ * Records every event of a match along with the values it results in.
+ */
+export class MatchRecorder {
+  /**
+   * @param {import("./match.js").Match} match
+   */
+  constructor(match) {
+    this.match = match;
+    this.isRecording = false;
+    /** Frames whose events are still being handled */
+    this.pendingFrames = [];
+    this.recording = {
+      seed: match.seed,
+      dices: [],
+      frames: [],
+    };
+  }
+
+  start() {
+    if (this.isRecording) return this;
+    this.isRecording = true;
+    this.recording.dices = dices.map((dice) => ({
+      uuid: dice.uuid,
+      name: dice.name,
+      type: dice.type,
+      owner: dice.owner?.name,
+    }));
+    this.addFrame("start", {}).states = takeSnapshot();
+    addEventObserver(this);
+    return this;
+  }
+
+  /**
+   * Continues a recording that was saved, e.g. after a match is loaded.
+   * @param {MatchRecorder["recording"]} recording
+   */
+  resume(recording) {
+    this.recording = recording;
+    this.isRecording = true;
+    addEventObserver(this);
+    return this;
+  }
+
+  stop() {
+    this.isRecording = false;
+    removeEventObserver(this);
+    return this;
+  }
+
+  addFrame(type, data) {
+    const frame = {
+      index: this.recording.frames.length,
+      type: type,
+      data: serializeData(data),
+      isCancelled: false,
+      round: this.match.round,
+      phase: this.match.phase,
+      states: null,
+    };
+    this.recording.frames.push(frame);
+    return frame;
+  }
+
+  // Frames are added in the order events start, so nested events come after the event that caused them
+  /**
+   * @param {import("./dice.js").GameEvent} event
+   */
+  onEvent(event) {
+    this.pendingFrames.push(this.addFrame(event.type, event.getData()));
+  }
+
+  /**
+   * @param {import("./dice.js").GameEvent} event
+   */
+  onEventHandled(event) {
+    const frame = this.pendingFrames.pop();
+    if (frame) {
+      // Data may have been changed by "before" listeners
+      frame.data = serializeData(event.getData());
+      frame.isCancelled = event.isCancelled;
+      frame.states = takeSnapshot();
+    }
+  }
+
+  toJSON() {
+    return this.recording;
+  }
+}
+
+/**
+ * Steps through a recording and applies its snapshots to the dices in the registry.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {MatchRecorder["recording"]} recording A recording or its JSON
+   * @param {Function} render Called after a frame has been applied
+   */
+  constructor(recording, render = () => {}) {
+    this.recording = typeof recording === "string" ? JSON.parse(recording) : recording;
+    this.render = render;
+    this.index = -1;
+  }
+
+  get frames() {
+    return this.recording.frames;
+  }
+
+  get currentFrame() {
+    return this.frames[this.index];
+  }
+
+  get isAtStart() {
+    return this.index <= 0;
+  }
+
+  get isAtEnd() {
+    return this.index >= this.frames.length - 1;
+  }
+
+  stepForward() {
+    return this.seek(this.index + 1);
+  }
+
+  stepBackward() {
+    return this.seek(this.index - 1);
+  }
+
+  /**
+   * @param {number} index Index of the frame to show. Clamped to the recording.
+   * @returns The frame shown
+   */
+  seek(index) {
+    this.index = Math.max(0, Math.min(index, this.frames.length - 1));
+    const frame = this.currentFrame;
+    if (!frame) return undefined;
+
+    for (const [uuid, state] of Object.entries(frame.states ?? {})) {
+      const dice = findDice(uuid);
+      if (dice) {
+        dice.setState(state);
+      } else {
+        logger.debug(logger.channels.match, `Replay: dice ${uuid} is not in the registry`);
+      }
+    }
+    this.render(frame);
+    return frame;
+  }
+
+  /**
+   * @param {*} frame
+   * @returns Human readable summary of `frame`
+   */
+  describe(frame = this.currentFrame) {
+    if (!frame) return "";
+    const names = Object.fromEntries(this.recording.dices.map((dice) => [dice.uuid, `${dice.owner}'s ${dice.name}`]));
+    const data = Object.entries(frame.data).map(([key, value]) => {
+      if (value?.dice) return `${key}: ${names[value.dice] ?? value.dice}`;
+      if (value?.player) return `${key}: ${value.player}`;
+      if (key === "rolls") return `${key}: ${Dice.describeRolls(value)}`;
+      return `${key}: ${value}`;
+    });
+    const cancelled = frame.isCancelled ? " (cancelled)" : "";
+    return `#${frame.index} [Round ${frame.round} - ${frame.phase}] ${frame.type}${cancelled} ${data.join(", ")}`;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Local WebSocket relay for networked matches, built on Node's built-in modules only.
+ * Clients join a room and every message they send is forwarded to the other clients of the room.
+ * The relay doesn't know the rules: clients run the match in lockstep. See network.js.
+ *
+ * Usage (Node 20+):
+ *   node js/relay.js --port 8080
+ */
+import http from "node:http";
+import crypto from "node:crypto";
+
+/** Appended to the client's key to accept the WebSocket handshake (RFC 6455) */
+const handshakeGUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const opcodes = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * @param {string} key Sec-WebSocket-Key of the request
+ */
+function getAcceptKey(key) {
+  return crypto.createHash("sha1").update(key + handshakeGUID).digest("base64");
+}
+
+/**
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer} Unmasked frame, as sent by servers
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(127, 1);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * @param {Buffer} buffer Received data
+ * @returns {{opcode: number, payload: Buffer, length: number} | null} First frame of `buffer` and how many bytes it
+ * takes, or `null` if it hasn't been fully received yet
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const isMasked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const mask = isMasked ? buffer.subarray(offset, offset + 4) : null;
+  if (isMasked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return { opcode: opcode, payload: payload, length: offset + length };
+}
+
+/**
+ * Connection of one client. Fragmented messages aren't supported, since clients only send small JSON messages.
+ */
+class RelayClient {
+  /**
+   * @param {import("node:net").Socket} socket
+   * @param {(client: RelayClient, message: string) => void} onMessage
+   * @param {(client: RelayClient) => void} onClose
+   */
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    /** @type {string | null} */
+    this.room = null;
+    /** Index of the client in its room, in the order they joined */
+    this.seat = -1;
+    this.buffer = Buffer.alloc(0);
+    this.isClosed = false;
+
+    socket.on("data", (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      let frame;
+      while ((frame = decodeFrame(this.buffer))) {
+        this.buffer = this.buffer.subarray(frame.length);
+        if (frame.opcode === opcodes.text) {
+          onMessage(this, frame.payload.toString("utf8"));
+        } else if (frame.opcode === opcodes.ping) {
+          socket.write(encodeFrame(opcodes.pong, frame.payload));
+        } else if (frame.opcode === opcodes.close) {
+          this.close();
+        }
+      }
+    });
+    socket.on("close", () => {
+      this.isClosed = true;
+      onClose(this);
+    });
+    socket.on("error", () => this.close());
+  }
+
+  /**
+   * @param {Object} message Sent as JSON
+   */
+  send(message) {
+    if (this.isClosed) return;
+    this.socket.write(encodeFrame(opcodes.text, Buffer.from(JSON.stringify(message), "utf8")));
+  }
+
+  close() {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.socket.end(encodeFrame(opcodes.close));
+  }
+}
+
+/**
+ * Messages understood by the relay itself. Every other message is forwarded to the room with the sender's `seat`.
+ * - { type: "join", room }                 → { type: "joined", room, seat, peers } to the sender,
+ *                                            { type: "peerJoined", seat } to the others
+ * - (disconnection)                        → { type: "peerLeft", seat } to the others
+ * @param {Object} options
+ * @param {number} options.port 0 picks a free port
+ * @param {string} options.host
+ * @returns {Promise<http.Server>} Listening server. Close it with `server.close()`.
+ */
+export function createRelayServer({ port = 8080, host = "127.0.0.1" } = {}) {
+  /** @type {Map<string, RelayClient[]>} */
+  const rooms = new Map();
+  /** @type {Set<RelayClient>} */
+  const clients = new Set();
+
+  const broadcast = (sender, message) => {
+    for (const client of rooms.get(sender.room) ?? []) {
+      if (client !== sender) client.send(message);
+    }
+  };
+
+  const onMessage = (client, text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      client.send({ type: "error", message: "Messages must be JSON" });
+      return;
+    }
+    if (message.type === "join") {
+      if (client.room !== null) return;
+      const room = `${message.room ?? "default"}`;
+      const members = rooms.get(room) ?? [];
+      rooms.set(room, members);
+      // Seats of clients that have left are not reused, so that seats stay unique within a room
+      client.seat = members.length > 0 ? Math.max(...members.map((member) => member.seat)) + 1 : 0;
+      client.room = room;
+      members.push(client);
+      client.send({ type: "joined", room: room, seat: client.seat, peers: members.map((member) => member.seat) });
+      broadcast(client, { type: "peerJoined", seat: client.seat });
+      return;
+    }
+    if (client.room === null) {
+      client.send({ type: "error", message: "Join a room first" });
+      return;
+    }
+    broadcast(client, { ...message, seat: client.seat });
+  };
+
+  const onClose = (client) => {
+    clients.delete(client);
+    const members = rooms.get(client.room);
+    if (!members) return;
+    members.splice(members.indexOf(client), 1);
+    if (members.length === 0) {
+      rooms.delete(client.room);
+    } else {
+      broadcast(client, { type: "peerLeft", seat: client.seat });
+    }
+  };
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("Die Suki relay: connect with a WebSocket");
+  });
+
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+    socket.setNoDelay(true);
+    clients.add(new RelayClient(socket, onMessage, onClose));
+  });
+
+  // Open connections would keep the server from closing
+  const close = server.close.bind(server);
+  server.close = (callback) => {
+    clients.forEach((client) => client.close());
+    return close(callback);
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+// Runs as a command line tool when executed directly by Node
+if (typeof process !== "undefined" && process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/\\/g, "/"))) {
+  const index = process.argv.indexOf("--port");
+  const port = index !== -1 ? Number(process.argv[index + 1]) : 8080;
+  const server = await createRelayServer({ port: port });
+  console.log(`Relay listening on ws://127.0.0.1:${server.address().port}`);
+}
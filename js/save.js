@@ -0,0 +1,92 @@
+import * as logger from "./logger.js";
+import gameData from "./gameData.js";
+import * as utils from "./utils.js";
+import { Player, players, resetPlayers } from "./player.js";
+import { Match } from "./match.js";
+
+const storageKey = "die-suki-save";
+const saveVersion = 1;
+
+/**
+ * @returns Plain object holding everything needed to continue the current match
+ */
+export function serializeGame() {
+  return {
+    version: saveVersion,
+    savedAt: new Date().toISOString(),
+    hasStarted: gameData.hasStarted,
+    random: utils.getRandomState(),
+    // The `nextPlayer` ring is saved as indices into `players`
+    players: players.map((player) => ({ ...player.toJSON(), nextPlayer: players.indexOf(player.nextPlayer) })),
+    match: gameData.match,
+  };
+}
+
+/**
+ * Replaces the current game with a saved one.
+ * @param {ReturnType<typeof serializeGame> | string} data Saved game or its JSON
+ */
+export function deserializeGame(data) {
+  if (typeof data === "string") {
+    data = JSON.parse(data);
+  }
+  if (data.version !== saveVersion) {
+    throw new Error(`Unsupported save version "${data.version}"`);
+  }
+
+  gameData.match?.recorder?.stop();
+  gameData.match?.log?.stop();
+  resetPlayers();
+
+  players.push(...data.players.map((player) => Player.fromJSON(player)));
+  data.players.forEach((player, index) => players[index].setNextPlayer(players[player.nextPlayer] ?? null));
+
+  gameData.match = data.match ? Match.fromJSON(data.match) : null;
+  gameData.hasStarted = data.hasStarted;
+  utils.setRandomState(data.random);
+}
+
+/**
+ * @returns JSON of the current game
+ */
+export function exportGame() {
+  return JSON.stringify(serializeGame());
+}
+
+/**
+ * @returns Whether the game has been saved
+ */
+export function saveToStorage() {
+  if (typeof localStorage === "undefined") return false;
+  try {
+    localStorage.setItem(storageKey, exportGame());
+    return true;
+  } catch (e) {
+    logger.error(logger.channels.data, `Failed to save the game - ${e.name}: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * @returns Whether a saved game has been loaded
+ */
+export function loadFromStorage() {
+  if (!hasSavedGame()) return false;
+  try {
+    deserializeGame(localStorage.getItem(storageKey));
+    return true;
+  } catch (e) {
+    logger.error(logger.channels.data, `Failed to load the saved game - ${e.name}: ${e.message}`);
+    return false;
+  }
+}
+
+export function hasSavedGame() {
+  return typeof localStorage !== "undefined" && localStorage.getItem(storageKey) !== null;
+}
+
+export function clearStorage() {
+  if (typeof localStorage !== "undefined") {
+    localStorage.removeItem(storageKey);
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * Scenario tests of the dice abilities. A scenario declares players with dices from `configs`, forces the outcomes
+ * of their rolls, performs actions and checks the dices and the messages of the game along the way:
+ *
+ *   scenario("Warrior lowers the roll of an enemy Wizard")
+ *     .player("A", ["Warrior"])
+ *     .player("B", ["Wizard"])
+ *     .force("B.Wizard", 4)
+ *     .roll("B.Wizard")
+ *     .expect("B.Wizard", { value: 4 })
+ *     .expectMessage("Warrior => Wizard -1 (5 => 4)");
+ *
+ * Dices are referred to as "<player>.<dice>", or "<player>.<dice>#2" for the second dice of the same name.
+ *
+ * The scenarios of the game are run by tests/run.js.
+ */
+import { Dice, configs, addEventObserver, removeEventObserver } from "./dice.js";
+import { Player, players, resetPlayers } from "./player.js";
+import { StatusEffect } from "./status.js";
+import * as messages from "./messages.js";
+import * as utils from "./utils.js";
+
+/**
+ * @typedef {Object} Step
+ * @property {string} description Tells which step has failed
+ * @property {(context: ScenarioContext) => void} run Throws an error if the step fails
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {string} name
+ * @property {boolean} passed
+ * @property {string} [error] Why the scenario has failed
+ */
+
+/**
+ * @param {*} actual
+ * @param {*} expected A value, or a predicate for values that can't be predicted exactly (e.g. random ones)
+ */
+function matches(actual, expected) {
+  if (typeof expected === "function") return expected(actual);
+  if (Array.isArray(expected)) return JSON.stringify(actual) === JSON.stringify(expected);
+  return actual === expected;
+}
+
+/**
+ * @param {string} text
+ * @param {string | RegExp} pattern A string has to be contained by `text`
+ */
+function matchesText(text, pattern) {
+  return pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern);
+}
+
+/**
+ * State of a running scenario, given to its steps.
+ */
+export class ScenarioContext {
+  /**
+   * @param {Scenario} scenario
+   */
+  constructor(scenario) {
+    this.scenario = scenario;
+    /** @type {Object<string, Player>} By name */
+    this.players = {};
+    /** @type {{kind: string, text: string}[]} Texts published for the player so far */
+    this.messages = [];
+    /** @type {Map<Dice, (number | string)[]>} Outcomes of the next rolls and rerolls of each dice */
+    this.forced = new Map();
+    /** @type {Map<Dice, (number | string)[]>} Faces of the next throws of each dice */
+    this.forcedFaces = new Map();
+    /** @type {import("./dice.js").GameEvent[]} Events handled so far */
+    this.events = [];
+    this.unsubscribe = null;
+    this.observer = {
+      onEvent: (event) => {
+        this.events.push(event);
+        if (event.type !== Dice.events.roll && event.type !== Dice.events.reroll) return;
+        const outcomes = this.forced.get(event.dice);
+        if (!(outcomes?.length > 0)) return;
+        // A forced outcome replaces the whole roll
+        const face = ScenarioContext.getFace(event.dice, outcomes.shift());
+        event.outcome = face.symbol ? face.value + event.dice.getBuff() : face.value;
+        event.symbol = face.symbol;
+        event.rolls = [{ values: [face.value], symbol: face.symbol, total: face.value, isKept: true }];
+      },
+    };
+  }
+
+  /**
+   * @param {Dice} dice
+   * @param {number | string} outcome A value, or a symbol for the face of that symbol, which keeps its value
+   * @returns {import("./dice.js").Face}
+   */
+  static getFace(dice, outcome) {
+    if (typeof outcome === "number") return { value: outcome, symbol: null, weight: 1 };
+    const face = dice.getFaces().find((face) => face.symbol === outcome);
+    if (!face) throw Error(`${dice.name} has no "${outcome}" face`);
+    return face;
+  }
+
+  /**
+   * Makes the next throws of a dice draw the given faces, then random ones again.
+   * @param {Dice} dice
+   * @param {(number | string)[]} faces See {@link getFace}
+   */
+  forceFaces(dice, faces) {
+    if (!this.forcedFaces.has(dice)) {
+      this.forcedFaces.set(dice, []);
+      const queue = this.forcedFaces.get(dice);
+      dice.drawFace = (min, max) =>
+        queue.length > 0 ? ScenarioContext.getFace(dice, queue.shift()) : Dice.prototype.drawFace.call(dice, min, max);
+    }
+    this.forcedFaces.get(dice).push(...faces);
+  }
+
+  setUp() {
+    resetPlayers();
+    utils.setRandomSeed(this.scenario.seed);
+    for (const { name, dices, team } of this.scenario.seats) {
+      const player = new Player(name);
+      player.team = team;
+      players.push(player);
+      this.players[name] = player;
+      for (const diceName of dices) {
+        const config = configs.all.find((config) => config.name === diceName);
+        if (!config) throw Error(`No config entry named "${diceName}"`);
+        player.addDice(new Dice(config));
+      }
+    }
+    players.forEach((player, index) => player.setNextPlayer(players[(index + 1) % players.length]));
+    this.unsubscribe = messages.subscribe("*", (message) => {
+      if (message.text !== undefined) this.messages.push({ kind: message.kind, text: message.text });
+    });
+    addEventObserver(this.observer);
+  }
+
+  tearDown() {
+    this.unsubscribe?.();
+    removeEventObserver(this.observer);
+    resetPlayers();
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Player}
+   */
+  getPlayer(name) {
+    const player = this.players[name];
+    if (!player) throw Error(`No player named "${name}"`);
+    return player;
+  }
+
+  /**
+   * @param {string} reference e.g. "A.Warrior" or "A.Warrior#2"
+   * @returns {Dice}
+   */
+  getDice(reference) {
+    const [, playerName, diceName, number = "1"] = reference.match(/^([^.]+)\.([^#]+)(?:#(\d+))?$/) ?? [];
+    if (!playerName) throw Error(`Invalid dice reference "${reference}"`);
+    const dice = this.getPlayer(playerName).dices.filter((dice) => dice.name === diceName)[Number(number) - 1];
+    if (!dice) throw Error(`${playerName} has no dice "${diceName}" #${number}`);
+    return dice;
+  }
+
+  /**
+   * @param {string} reference A dice reference, or the name of a player
+   * @returns {Dice | Player}
+   */
+  getDiceOrPlayer(reference) {
+    return reference.includes(".") ? this.getDice(reference) : this.getPlayer(reference);
+  }
+}
+
+export class Scenario {
+  /**
+   * @param {string} name Tells what the scenario checks
+   */
+  constructor(name) {
+    this.name = name;
+    this.seed = 1;
+    /** @type {{name: string, dices: string[], team: number | string | null}[]} */
+    this.seats = [];
+    /** @type {Step[]} */
+    this.steps = [];
+  }
+
+  /**
+   * @returns Names of the config entries used by the scenario
+   */
+  get diceNames() {
+    return [...new Set(this.seats.flatMap((seat) => seat.dices))];
+  }
+
+  /**
+   * Declares a player. Players are seated in the order they are declared.
+   * @param {string} name Used by the dice references, so it can't contain dots
+   * @param {string[]} dices Names of entries of `configs`
+   * @param {Object} options
+   * @param {number | string | null} options.team Players of the same team are allies
+   * @returns this
+   */
+  player(name, dices, { team = null } = {}) {
+    this.seats.push({ name: name, dices: dices, team: team });
+    return this;
+  }
+
+  /**
+   * @param {number} seed Seed of the random draws that aren't forced, e.g. in formulas. 1 by default.
+   * @returns this
+   */
+  withSeed(seed) {
+    this.seed = seed;
+    return this;
+  }
+
+  /**
+   * @param {string} description
+   * @param {(context: ScenarioContext) => void} run Throws an error to fail the scenario
+   * @returns this
+   */
+  step(description, run) {
+    this.steps.push({ description: description, run: run });
+    return this;
+  }
+
+  /**
+   * Forces the outcomes drawn by the next rolls and rerolls of a dice, before any ability changes them.
+   * @param {string} dice Dice reference
+   * @param {...(number | string)} outcomes One per roll or reroll, in order. A symbol forces the face of that symbol.
+   * @returns this
+   */
+  force(dice, ...outcomes) {
+    return this.step(`force ${dice} to ${outcomes.join(", ")}`, (context) => {
+      const target = context.getDice(dice);
+      context.forced.set(target, [...(context.forced.get(target) ?? []), ...outcomes]);
+    });
+  }
+
+  /**
+   * Forces the faces drawn by the next throws of a dice, so that abilities and roll options (e.g. advantage or
+   * exploding dices) still apply to them. Each explosion and each dice of a roll is a throw.
+   * @param {string} dice Dice reference
+   * @param {...(number | string)} faces One per throw, in order. A symbol draws the face of that symbol.
+   * @returns this
+   */
+  forceFaces(dice, ...faces) {
+    return this.step(`force the faces of ${dice} to ${faces.join(", ")}`, (context) =>
+      context.forceFaces(context.getDice(dice), faces)
+    );
+  }
+
+  /**
+   * @param {string} dice Dice reference
+   * @returns this
+   */
+  roll(dice) {
+    return this.step(`roll ${dice}`, (context) => context.getDice(dice).roll());
+  }
+
+  /**
+   * @param {string} dice Dice reference
+   * @returns this
+   */
+  reroll(dice) {
+    return this.step(`reroll ${dice}`, (context) => context.getDice(dice).reroll());
+  }
+
+  /**
+   * @param {string} dice Dice reference
+   * @returns this
+   */
+  hide(dice) {
+    return this.step(`hide ${dice}`, (context) => context.getDice(dice).hide());
+  }
+
+  /**
+   * @param {string} dice Dice reference
+   * @param {string} source Dice reference or name of the player that destroys the dice
+   * @returns this
+   */
+  destroy(dice, source) {
+    return this.step(`destroy ${dice} by ${source}`, (context) =>
+      context.getDice(dice).destroy(context.getDiceOrPlayer(source))
+    );
+  }
+
+  /**
+   * Counts down status effects and modifiers, as the end of a turn or a round does.
+   * @param {string} unit See {@link StatusEffect.units}
+   * @param {string} player Only ticks the dices of this player. Every dice by default.
+   * @returns this
+   */
+  tick(unit = StatusEffect.units.turn, player = undefined) {
+    return this.step(`tick a ${unit}${player ? ` of ${player}` : ""}`, (context) => {
+      const dices = player ? context.getPlayer(player).dices : players.flatMap((player) => player.dices);
+      dices.forEach((dice) => dice.tick(unit));
+    });
+  }
+
+  /**
+   * @param {string} dice Dice reference
+   * @param {Object<string, *>} expected Values of the dice's properties (e.g. `value` or `isHidden`), or predicates.
+   * `statuses` is the list of the types of its status effects.
+   * @returns this
+   */
+  expect(dice, expected) {
+    return this.step(`expect ${dice}`, (context) => {
+      const target = context.getDice(dice);
+      for (const [property, value] of Object.entries(expected)) {
+        const actual =
+          property === "statuses" ? target.statusEffects.map((effect) => effect.type).sort() : target[property];
+        if (!matches(actual, value)) {
+          const wanted = typeof value === "function" ? `to satisfy ${value}` : JSON.stringify(value);
+          throw Error(`${property} of ${dice} is ${JSON.stringify(actual)}, expected ${wanted}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks the latest event of a type that happened to a dice.
+   * @param {string} dice Dice reference
+   * @param {string} type See {@link Dice.events}
+   * @param {Object<string, *>} expected Values of the event's data (e.g. `outcome`), or predicates. `rolls` is
+   * compared in short, see {@link Dice.describeRolls}.
+   * @returns this
+   */
+  expectEvent(dice, type, expected) {
+    return this.step(`expect the ${type} of ${dice}`, (context) => {
+      const target = context.getDice(dice);
+      const event = context.events.findLast((event) => event.type === type && event.dice === target);
+      if (!event) throw Error(`${dice} had no ${type} event`);
+      for (const [property, value] of Object.entries(expected)) {
+        const actual = property === "rolls" ? Dice.describeRolls(event.rolls ?? []) : event[property];
+        if (!matches(actual, value)) {
+          const wanted = typeof value === "function" ? `to satisfy ${value}` : JSON.stringify(value);
+          throw Error(`${property} of the ${type} of ${dice} is ${JSON.stringify(actual)}, expected ${wanted}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Expects a message published so far, e.g. the message of an ability.
+   * @param {string | RegExp} pattern A string has to be contained by the message
+   * @param {string} kind Only checks messages of this kind. See {@link messages.kinds}.
+   * @returns this
+   */
+  expectMessage(pattern, kind = undefined) {
+    return this.step(`expect message ${pattern}`, (context) => {
+      const found = context.messages.some(
+        (message) => (!kind || message.kind === kind) && matchesText(message.text, pattern)
+      );
+      if (!found) {
+        const published = context.messages.map((message) => `  ${message.kind}: ${message.text}`).join("\n");
+        throw Error(`No message matches ${pattern}. Published messages:\n${published || "  (none)"}`);
+      }
+    });
+  }
+
+  /**
+   * @param {string | RegExp} pattern
+   * @returns this
+   */
+  expectNoMessage(pattern) {
+    return this.step(`expect no message ${pattern}`, (context) => {
+      const message = context.messages.find((message) => matchesText(message.text, pattern));
+      if (message) throw Error(`Unexpected message "${message.text}"`);
+    });
+  }
+
+  /**
+   * Runs the steps in order until one fails.
+   * @returns {ScenarioResult}
+   */
+  run() {
+    const context = new ScenarioContext(this);
+    let step = null;
+    try {
+      context.setUp();
+      for (step of this.steps) {
+        step.run(context);
+      }
+      return { name: this.name, passed: true };
+    } catch (e) {
+      const at = step ? `step ${this.steps.indexOf(step) + 1} (${step.description})` : "set up";
+      return { name: this.name, passed: false, error: `${at}: ${e.message}` };
+    } finally {
+      context.tearDown();
+    }
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {Scenario}
+ */
+export function scenario(name) {
+  return new Scenario(name);
+}
+
+/**
+ * @param {Scenario[]} scenarios
+ * @param {string} filter Only runs the scenarios whose names contain it
+ * @returns {ScenarioResult[]}
+ */
+export function runScenarios(scenarios, filter = "") {
+  return scenarios.filter((scenario) => scenario.name.includes(filter)).map((scenario) => scenario.run());
+}
+
+/**
+ * @param {Scenario[]} scenarios
+ * @returns {string[]} Names of the config entries that no scenario uses
+ */
+export function getUncoveredDices(scenarios) {
+  const covered = new Set(scenarios.flatMap((scenario) => scenario.diceNames));
+  return configs.all.map((config) => config.name).filter((name) => !covered.has(name));
+}
+
+/**
+ * @param {ScenarioResult[]} results
+ * @param {string[]} uncovered See {@link getUncoveredDices}
+ * @returns {string} Report as plain text
+ */
+export function formatResults(results, uncovered = []) {
+  const failed = results.filter((result) => !result.passed);
+  const lines = results.map((result) => `${result.passed ? "ok  " : "FAIL"} ${result.name}`);
+  for (const result of failed) {
+    lines.push("", `${result.name}`, `  ${result.error.replace(/\n/g, "\n  ")}`);
+  }
+  if (uncovered.length > 0) {
+    lines.push("", `Dices without any scenario: ${uncovered.join(", ")}`);
+  }
+  lines.push("", `${results.length - failed.length} passed, ${failed.length} failed`);
+  return lines.join("\n");
+}
@@ -0,0 +1,170 @@
+/**
+ * Headless balance simulator. Plays AI-vs-AI matches without a browser and reports how the dices perform.
+ *
+ * Usage (Node 22, or Node 20 with --experimental-detect-module; mathjs has to be installed):
+ *   node js/simulator.js --matches 1000 --rounds 20 --strategies greedy,greedy --seed 12345
+ *   node js/simulator.js --resolution total --targetScore 5 --draft true
+ *   node js/simulator.js --strategies greedy,random,greedy,random --teams 0,1,0,1
+ */
+import { Match } from "./match.js";
+import { players } from "./player.js";
+import { configs } from "./dice.js";
+import * as utils from "./utils.js";
+
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {number} [matches] How many matches to play
+ * @property {number} [rounds] Maximum rounds per match
+ * @property {string} [resolution] See {@link Match.resolutions}
+ * @property {number} [targetScore] See {@link Match.defaultRules}
+ * @property {boolean} [draft] Whether the players draft their loadouts instead of getting random dices
+ * @property {string[]} [strategies] Strategy of each player
+ * @property {(number | null)[]} [teams] Team of each player, e.g. [0, 1, 0, 1] for 2v2. No teams by default.
+ * @property {number} [seed] Seed of the first match. Every following match uses the next seed.
+ */
+
+/**
+ * @param {SimulationOptions} options
+ * @returns Statistics of the simulated matches
+ */
+export function simulateMatches({
+  matches = 1000,
+  rounds = 20,
+  strategies = ["greedy", "greedy"],
+  teams = [],
+  seed = utils.generateSeed(),
+  resolution = Match.defaultRules.resolution,
+  targetScore = Match.defaultRules.targetScore,
+  draft = false,
+} = {}) {
+  const stats = {
+    matches: matches,
+    rounds: rounds,
+    resolution: resolution,
+    targetScore: targetScore,
+    draft: draft,
+    /** Sum of the rounds played in every match */
+    roundsPlayed: 0,
+    strategies: strategies,
+    teams: teams,
+    seed: seed,
+    draws: 0,
+    /** Wins per seat, since seats may use different strategies */
+    seatWins: strategies.map(() => 0),
+    /** Keyed by the name of the config entry */
+    dices: Object.fromEntries(
+      configs.all.map((dice) => [dice.name, { picks: 0, wins: 0, valueSum: 0, valueCount: 0, matchesWith: 0 }])
+    ),
+  };
+
+  for (let i = 0; i < matches; i++) {
+    const match = new Match({
+      seed: seed + i,
+      seats: strategies.map((strategy, index) => ({ strategy: strategy, team: teams[index] ?? null })),
+      maxRounds: rounds,
+      record: false,
+      rules: { resolution, targetScore },
+      draft,
+    });
+    match.runToEnd((match) => {
+      // Samples the final outcome of every dice, right before each round is resolved
+      if (match.phase !== Match.phases.resolve) return;
+      for (const dice of match.getActiveDices()) {
+        const entry = stats.dices[dice.name];
+        if (entry && dice.value !== null) {
+          entry.valueSum += dice.value;
+          entry.valueCount++;
+        }
+      }
+    });
+
+    stats.roundsPlayed += match.round;
+    const winners = match.winners;
+    if (winners.length > 0) {
+      winners.forEach((winner) => stats.seatWins[players.indexOf(winner)]++);
+    } else {
+      stats.draws++;
+    }
+
+    for (const player of players) {
+      const names = new Set(player.dices.map((dice) => dice.name));
+      for (const dice of player.dices) {
+        if (stats.dices[dice.name]) stats.dices[dice.name].picks++;
+      }
+      for (const name of names) {
+        const entry = stats.dices[name];
+        if (!entry) continue;
+        entry.matchesWith++;
+        if (winners.includes(player)) entry.wins++;
+      }
+    }
+  }
+  return stats;
+}
+
+/**
+ * @param {ReturnType<typeof simulateMatches>} stats
+ * @returns {string} Balance report as plain text
+ */
+export function formatReport(stats) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Matches: ${stats.matches} x up to ${stats.rounds} rounds, seeds ${stats.seed}-${stats.seed + stats.matches - 1}`,
+    `Rules: ${stats.resolution} resolution, target score ${stats.targetScore}, ${stats.draft ? "drafted" : "random"} dices`,
+    `Strategies: ${stats.strategies.join(" vs ")}${stats.teams.length > 0 ? `, teams ${stats.teams.join(",")}` : ""}`,
+    `Average length: ${(stats.roundsPlayed / stats.matches).toFixed(2)} rounds`,
+    ...stats.seatWins.map((wins, index) => `Seat ${index + 1} win rate: ${percent(wins / stats.matches)}`),
+    `Draws: ${percent(stats.draws / stats.matches)}`,
+    "",
+    ["Dice", "Picks", "Avg value", "Win rate with", "Impact"].map((header) => header.padEnd(14)).join(""),
+  ];
+
+  // Win rate of a random player, excluding draws. Every player of the winning team wins.
+  const sides = stats.strategies.filter(
+    (strategy, index) => stats.teams[index] == null || stats.teams.indexOf(stats.teams[index]) === index
+  ).length;
+  const baseline = (1 - stats.draws / stats.matches) / sides;
+  const entries = Object.entries(stats.dices).sort(([, a], [, b]) => b.wins / b.matchesWith - a.wins / a.matchesWith);
+  for (const [name, entry] of entries) {
+    const winRate = entry.matchesWith > 0 ? entry.wins / entry.matchesWith : 0;
+    const average = entry.valueCount > 0 ? entry.valueSum / entry.valueCount : 0;
+    const impact = winRate - baseline;
+    lines.push(
+      [name, `${entry.picks}`, average.toFixed(2), percent(winRate), `${impact >= 0 ? "+" : ""}${percent(impact)}`]
+        .map((column) => column.padEnd(14))
+        .join("")
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @param {string[]} args Command line arguments, e.g. ["--matches", "100"]
+ * @returns {SimulationOptions}
+ */
+export function parseArguments(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, "");
+    const value = args[i + 1];
+    if (key === "strategies") {
+      options.strategies = value.split(",");
+    } else if (key === "resolution") {
+      options.resolution = value;
+    } else if (key === "teams") {
+      options.teams = value.split(",").map((team) => (team === "" ? null : Number(team)));
+    } else if (key === "draft") {
+      options.draft = value === "true";
+    } else if (["matches", "rounds", "seed", "targetScore"].includes(key)) {
+      options[key] = Number(value);
+    }
+  }
+  return options;
+}
+
+// Runs as a command line tool when executed directly by Node
+if (typeof process !== "undefined" && process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/\\/g, "/"))) {
+  // Browsers load mathjs from a CDN, which formulas use as a global
+  globalThis.math ??= await import("mathjs");
+  console.log(formatReport(simulateMatches(parseArguments(process.argv.slice(2)))));
+}
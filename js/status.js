@@ -0,0 +1,112 @@
+/**
+ * Timed effect on a dice, e.g. "disabled for one turn".
+ * Durations count down in turns (of the dice's owner) or in rounds. Effects with a duration of Infinity never expire.
+ */
+export class StatusEffect {
+  static types = {
+    disabled: "disabled",
+    hidden: "hidden",
+    buffed: "buffed",
+    shielded: "shielded",
+    advantage: "advantage",
+    disadvantage: "disadvantage",
+    exploding: "exploding",
+  };
+  static units = { turn: "turn", round: "round" };
+  /**
+   * What happens when an effect is applied to a dice that already has an effect of the same type:
+   * - refresh: the longer of the two durations is kept
+   * - stack: one more stack is added and the duration is refreshed
+   * - extend: the durations are added together
+   * - ignore: the new effect is ignored
+   */
+  static stackingRules = { refresh: "refresh", stack: "stack", extend: "extend", ignore: "ignore" };
+
+  /** Stacking rule of each type, unless another one is given */
+  static defaultStacking = {
+    disabled: StatusEffect.stackingRules.refresh,
+    hidden: StatusEffect.stackingRules.refresh,
+    buffed: StatusEffect.stackingRules.stack,
+    shielded: StatusEffect.stackingRules.stack,
+    advantage: StatusEffect.stackingRules.refresh,
+    disadvantage: StatusEffect.stackingRules.refresh,
+    exploding: StatusEffect.stackingRules.refresh,
+  };
+
+  /**
+   * @param {string} type See {@link StatusEffect.types}. Other types are allowed, but have no built-in behavior.
+   * @param {Object} options
+   * @param {number} options.duration In `unit`s. Infinity by default.
+   * @param {string} options.unit "turn" or "round"
+   * @param {string} options.stacking See {@link StatusEffect.stackingRules}
+   * @param {number} options.amount Strength of the effect, e.g. how much "buffed" adds to outcomes
+   * @param {number} options.stacks
+   * @param {string} options.source UUID of the dice that applied the effect
+   */
+  constructor(
+    type,
+    {
+      duration = Infinity,
+      unit = StatusEffect.units.round,
+      stacking = StatusEffect.defaultStacking[type] ?? StatusEffect.stackingRules.refresh,
+      amount = 0,
+      stacks = 1,
+      source = null,
+    } = {}
+  ) {
+    this.type = type;
+    this.duration = duration;
+    this.unit = unit;
+    this.stacking = stacking;
+    this.amount = amount;
+    this.stacks = stacks;
+    this.source = source;
+  }
+
+  get isExpired() {
+    return this.duration <= 0 || this.stacks <= 0;
+  }
+
+  /**
+   * Applies the stacking rule with a new effect of the same type.
+   * @param {StatusEffect} other
+   */
+  merge(other) {
+    switch (this.stacking) {
+      case StatusEffect.stackingRules.stack:
+        this.stacks += other.stacks;
+        this.duration = Math.max(this.duration, other.duration);
+        break;
+      case StatusEffect.stackingRules.extend:
+        this.duration += other.duration;
+        break;
+      case StatusEffect.stackingRules.refresh:
+        this.duration = Math.max(this.duration, other.duration);
+        break;
+    }
+    return this;
+  }
+
+  /**
+   * Counts down the duration if `unit` matches.
+   * @param {string} unit
+   * @returns Whether the effect has expired
+   */
+  tick(unit) {
+    if (unit === this.unit) {
+      this.duration--;
+    }
+    return this.isExpired;
+  }
+
+  /**
+   * JSON turns Infinity into null, so permanent effects are saved with a duration of `null`.
+   */
+  toJSON() {
+    return { ...this, duration: this.duration === Infinity ? null : this.duration };
+  }
+
+  static fromJSON(data) {
+    return new StatusEffect(data.type, { ...data, duration: data.duration ?? Infinity });
+  }
+}
@@ -0,0 +1,132 @@
+import { lerp, cosineInterpolate, clamp } from "./utils.js";
+
+/**
+ * Animations of the page. Tweens are advanced by the game loop, so they pause with the game.
+ * They only present what has already happened: the game logic never waits for them.
+ */
+
+/**
+ * Easing functions map the progress of a tween (0 to 1) to the progress of its value
+ * @type {Object<string, (t: number) => number>}
+ */
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  cosine: (t) => cosineInterpolate(0, 1, t),
+  /** Overshoots the target slightly before settling on it */
+  easeOutBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+};
+
+export class Tween {
+  /**
+   * @param {Object} options
+   * @param {number} options.from
+   * @param {number} options.to
+   * @param {number} options.duration In seconds
+   * @param {number} options.delay Seconds before the tween starts
+   * @param {string} options.easing See {@link easings}
+   * @param {string} options.key Starting a tween replaces the running tween of the same key, if any
+   * @param {(value: number, tween: Tween) => void} options.onUpdate Called on every update with the current value
+   * @param {(tween: Tween) => void} options.onComplete Called once the tween has reached `to`, but not when it's
+   * cancelled
+   */
+  constructor({
+    from = 0,
+    to = 1,
+    duration = 0.5,
+    delay = 0,
+    easing = "easeOutQuad",
+    key = null,
+    onUpdate = null,
+    onComplete = null,
+  } = {}) {
+    this.from = from;
+    this.to = to;
+    this.duration = duration;
+    this.delay = delay;
+    this.easing = easings[easing] ?? easings.linear;
+    this.key = key;
+    this.onUpdate = onUpdate;
+    this.onComplete = onComplete;
+    this.elapsed = 0;
+    this.isFinished = false;
+  }
+
+  /** Progress of the tween from 0 to 1, before easing */
+  get progress() {
+    return this.duration > 0 ? clamp((this.elapsed - this.delay) / this.duration, 0, 1) : 1;
+  }
+
+  get value() {
+    return lerp(this.from, this.to, this.easing(this.progress));
+  }
+
+  /**
+   * @param {number} deltaTime Seconds since the previous update
+   */
+  update(deltaTime) {
+    if (this.isFinished) return;
+    this.elapsed += deltaTime;
+    if (this.elapsed < this.delay) return;
+    this.onUpdate?.(this.value, this);
+    if (this.progress >= 1) {
+      this.isFinished = true;
+      this.onComplete?.(this);
+    }
+  }
+
+  /**
+   * Stops the tween where it is, without completing it.
+   */
+  cancel() {
+    this.isFinished = true;
+  }
+}
+
+/** @type {Tween[]} */
+const tweens = [];
+
+/**
+ * @param {ConstructorParameters<typeof Tween>[0]} options
+ * @returns {Tween} The running tween
+ */
+export function start(options) {
+  const tween = new Tween(options);
+  if (tween.key !== null) cancel(tween.key);
+  tweens.push(tween);
+  return tween;
+}
+
+/**
+ * Advances every running tween. Called by the game loop every frame.
+ * @param {number} deltaTime Seconds since the previous frame
+ */
+export function update(deltaTime) {
+  // Callbacks may start new tweens, which are first updated in the next frame
+  for (const tween of [...tweens]) {
+    tween.update(deltaTime);
+  }
+  for (let i = tweens.length - 1; i >= 0; i--) {
+    if (tweens[i].isFinished) tweens.splice(i, 1);
+  }
+}
+
+/**
+ * @param {string} key Cancels the running tween of this key, or every tween if omitted
+ */
+export function cancel(key) {
+  for (const tween of tweens) {
+    if (key === undefined || tween.key === key) tween.cancel();
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns Whether a tween of this key is running
+ */
+export function isRunning(key) {
+  return tweens.some((tween) => tween.key === key && !tween.isFinished);
+}
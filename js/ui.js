@@ -1,46 +1,254 @@
-import * as debug from "./debug.js";
+import * as logger from "./logger.js";
 import gameData from "./gameData.js";
 import * as main from "./main.js";
 import { Player, players } from "./player.js";
 import * as player from "./player.js";
-import { Dice } from "./dice.js";
+import { Dice, configs } from "./dice.js";
 import * as dice from "./dice.js";
+import { Match } from "./match.js";
+import { ReplayPlayer } from "./recorder.js";
+import { Board, describeFaces } from "./board.js";
+import { CombatLog } from "./combatLog.js";
 import { setInnerHTML } from "./utils.js";
+import * as messages from "./messages.js";
+import * as audio from "./audio.js";
+import * as i18n from "./i18n.js";
+import { Inspector } from "./inspector.js";
 
-let btnStartGame, inputDebugLevel, labelDebugLevel;
+let btnStartGame, btnPass;
+/** @type {Board} */
+let board = null;
+/** @type {Inspector} */
+let inspector = null;
+/** Latest records of the logger, shown by the inspector */
+const memorySink = logger.addSink(new logger.MemorySink(100));
+/** Records of the whole session, which can be downloaded */
+const fileSink = logger.addSink(new logger.FileSink());
+/** States of the dices before a replay is entered, restored when it's exited */
+let statesBeforeReplay = null;
+/** What the combat log panel shows, so that it's only rebuilt when it changes */
+let renderedLog = { log: null, entries: 0, filter: "" };
+/** The chosen locale is remembered by the browser */
+const localeStorageKey = "die-suki-locale";
 
 export function setupUI() {
   btnStartGame = document.querySelector("#btn-start-game");
   btnStartGame?.addEventListener("click", main.startGame);
+  document.querySelector("#btn-play-again")?.addEventListener("click", main.startGame);
 
-  inputDebugLevel = document.querySelector("#input-debug-level");
-  labelDebugLevel = document.querySelector("label[for='input-debug-level']");
-  inputDebugLevel?.addEventListener("change", () => {
-    debug.setLevel((labelDebugLevel.innerHTML = inputDebugLevel.value));
+  document.querySelector("#btn-online")?.addEventListener("click", () =>
+    main.playOnline(document.querySelector("#input-room")?.value || "default")
+  );
+  document.querySelector("#btn-save")?.addEventListener("click", main.saveGame);
+  document.querySelector("#btn-load")?.addEventListener("click", main.loadGame);
+
+  btnPass = document.querySelector("#btn-pass");
+  btnPass?.addEventListener("click", () => {
+    const human = getHuman();
+    if (human && gameData.match?.isWaitingFor(human)) {
+      human.pass();
+    }
+  });
+
+  document.querySelector("#btn-replay")?.addEventListener("click", toggleReplay);
+  document.querySelector("#btn-replay-back")?.addEventListener("click", () => stepReplay(-1));
+  document.querySelector("#btn-replay-forward")?.addEventListener("click", () => stepReplay(1));
+  document.querySelector("#btn-export-replay")?.addEventListener("click", exportReplay);
+  document.querySelector("#btn-export-log-text")?.addEventListener("click", () => exportLog("text"));
+  document.querySelector("#btn-export-log-json")?.addEventListener("click", () => exportLog("json"));
+
+  const btnMute = document.querySelector("#btn-mute");
+  btnMute?.addEventListener("click", () => {
+    audio.setMuted(!audio.getMuted());
+    // Switching the locale translates it again
+    btnMute.dataset.i18n = audio.getMuted() ? "page.unmute" : "page.mute";
+    btnMute.textContent = i18n.t(btnMute.dataset.i18n);
+  });
+  for (const input of document.querySelectorAll("input[data-category]")) {
+    input.addEventListener("input", () => audio.setVolume(input.dataset.category, input.value / 100));
+  }
+
+  setupLogs();
+
+  // The backquote key toggles the inspector too, unless something is being typed
+  inspector = new Inspector(document.querySelector("#inspector"), memorySink);
+  document.querySelector("#btn-inspector")?.addEventListener("click", () => inspector.toggle());
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "`" && !["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)) inspector.toggle();
+  });
+
+  // Messages written for the player are shown as infos
+  messages.subscribe(messages.kinds.ability, (message) => addInfo(message.text));
+  messages.subscribe(messages.kinds.info, (message) => addInfo(message.text));
+
+  board = new Board(document.querySelector("#player-dices"), document.querySelector("#enemy-dices"), (player, dice) => {
+    if (gameData.match?.isWaitingFor(player)) {
+      player.select(dice);
+    }
   });
+  messages.subscribe(messages.kinds.event, (message) => board.animate(message));
+  messages.subscribe(messages.kinds.modify, (message) => board.animate(message));
+
+  setupLocales();
 }
 
-export function generateDices() {
-  for (const player of players) {
-    const parent = document.createElement("ol");
-    (player.isHuman() ? document.querySelector("#player-dices") : document.querySelector("#enemy-dices")).appendChild(
-      parent
-    );
-    player.dices.forEach((dice) => {
-      let element = document.createElement(
-        "li",
-        {
-          class: "dice",
-          ["data-uuid"]: dice.uuid,
-        },
-        { innerHTML: `<span class="dice-name">${dice.name}</span><span class="dice-value">?</span>` }
-      );
-      dice.element = element;
-      parent.appendChild(element);
+/**
+ * Generates a toggle for every channel of the logger.
+ */
+function setupLogs() {
+  const container = document.querySelector("#log-channels");
+  for (const channel of Object.values(logger.channels)) {
+    const input = document.createElement("input", { type: "checkbox" }, { checked: logger.isEnabled(channel) });
+    input.addEventListener("change", () => logger.setEnabled(channel, input.checked));
+    const label = document.createElement("label");
+    label.append(input, channel);
+    container?.appendChild(label);
+  }
+  document.querySelector("#btn-download-logs")?.addEventListener("click", () => fileSink.download());
+}
+
+/**
+ * Fills the language select and switches to the remembered locale, or to the browser's language.
+ */
+function setupLocales() {
+  const select = document.querySelector("#select-locale");
+  for (const [locale, name] of Object.entries(i18n.locales)) {
+    select?.appendChild(document.createElement("option", { value: locale }, { innerHTML: name }));
+  }
+  select?.addEventListener("change", () => {
+    i18n.setLocale(select.value);
+    if (typeof localStorage !== "undefined") localStorage.setItem(localeStorageKey, select.value);
+  });
+  i18n.onChange((locale) => {
+    if (select) select.value = locale;
+    i18n.translateDocument();
+    // Texts that are only generated once are generated again
+    generateDraft();
+    renderedLog = { log: null, entries: 0, filter: "" };
+  });
+
+  const saved = typeof localStorage !== "undefined" ? localStorage.getItem(localeStorageKey) : null;
+  const preferred = saved ?? navigator.language.split("-")[0];
+  i18n.translateDocument();
+  if (preferred in i18n.locales && preferred !== i18n.getLocale()) {
+    i18n.setLocale(preferred);
+  } else if (select) {
+    select.value = i18n.getLocale();
+  }
+}
+
+/**
+ * @returns Strategy chosen for the computer player
+ */
+export function getDifficulty() {
+  return document.querySelector("#select-difficulty")?.value ?? "greedy";
+}
+
+/**
+ * @returns "duel" (1v1), "teams" (2v2, with a computer ally) or "free" (free-for-all of four)
+ */
+export function getMode() {
+  return document.querySelector("#select-mode")?.value ?? "duel";
+}
+
+/**
+ * @returns {Player | undefined} Player controlled on this page
+ */
+function getHuman() {
+  return players.find((player) => player.isHuman());
+}
+
+/**
+ * @returns Whether the players draft their dices instead of getting random ones
+ */
+export function isDraftSelected() {
+  return document.querySelector("#select-loadout")?.value === "draft";
+}
+
+/** Elements of the draft pool, keyed by entries of `configs.all`
+ * @type {Map<Dice, HTMLElement>} */
+const draftElements = new Map();
+
+export function generateDraft() {
+  const pool = document.querySelector("#draft-pool");
+  if (!pool) return;
+  pool.innerHTML = "";
+  draftElements.clear();
+  for (const config of configs.all) {
+    const element = document.createElement("li", undefined, {
+      innerHTML: `<strong>${config.name}</strong> (${config.type}, ${config.minValue}-${
+        config.maxValue
+      })<p>${config.getDescription()}</p><p class="draft-faces">${i18n.t("board.faces", {
+        faces: describeFaces(config),
+      })}</p>`,
     });
+    element.addEventListener("click", () => {
+      const human = getHuman();
+      if (human && gameData.match?.isWaitingFor(human)) {
+        human.select(config);
+      }
+    });
+    draftElements.set(config, pool.appendChild(element));
+  }
+}
+
+function toggleReplay() {
+  const recorder = gameData.match?.recorder;
+  if (!recorder) return;
+
+  if (gameData.replay) {
+    gameData.replay = null;
+    dice.dices.forEach((_dice) => _dice.setState(statesBeforeReplay[_dice.uuid]));
+    addInfo(i18n.t("info.replayEnded"), 2.5);
+  } else {
+    statesBeforeReplay = Object.fromEntries(dice.dices.map((_dice) => [_dice.uuid, _dice.getState()]));
+    // A copy of the recording, so that the replay isn't affected by anything recorded afterwards
+    gameData.replay = new ReplayPlayer(JSON.stringify(recorder), updateBoard);
+    gameData.replay.seek(0);
+    addInfo(i18n.t("info.replayStarted"), 2.5);
   }
 }
 
+function stepReplay(step) {
+  const replay = gameData.replay;
+  if (!replay) return;
+  step > 0 ? replay.stepForward() : replay.stepBackward();
+}
+
+function exportReplay() {
+  const match = gameData.match;
+  if (!match?.recorder) return;
+  download(JSON.stringify(match.recorder), `die-suki-${match.seed}.json`, "application/json");
+}
+
+/**
+ * Exports the entries of the combat log that match the current filter.
+ * @param {"text" | "json"} format
+ */
+function exportLog(format) {
+  const match = gameData.match;
+  if (!match?.log) return;
+  const filter = getLogFilter();
+  if (format === "json") {
+    const data = { seed: match.seed, filter: filter, turns: match.log.getTurns(filter) };
+    download(JSON.stringify(data, null, 2), `die-suki-${match.seed}-log.json`, "application/json");
+  } else {
+    download(match.log.toText(filter), `die-suki-${match.seed}-log.txt`, "text/plain");
+  }
+}
+
+/**
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type MIME type
+ */
+function download(content, fileName, type) {
+  const blob = new Blob([content], { type: type });
+  const link = document.createElement("a", { download: fileName, href: URL.createObjectURL(blob) });
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 export class Info {
   constructor(string = "Unknown", duration = 1) {
     this.string = string;
@@ -80,9 +288,169 @@ export function addInfo(string, duration = 600) {
 
 export function update() {
   document.querySelector("#fps").innerHTML = gameData.fps;
-  debug.setLevel((labelDebugLevel.innerHTML = inputDebugLevel.value));
 
   updateInfos();
+  updateMatch();
+  updateBoard();
+  updateDraft();
+  updateResult();
+  updateLog();
+  inspector.update();
+}
+
+function updateMatch() {
+  const match = gameData.match;
+  if (!match) return;
+  if (gameData.replay) {
+    const frame = gameData.replay.describe();
+    setInnerHTML(document.querySelector("#match-status"), i18n.t("status.replay", { frame: frame }));
+    return;
+  }
+  const scores = players.map((player) => `${player.name} ${player.score}`).join(" : ");
+  const params = { seed: match.seed, round: match.round, player: match.currentPlayer?.name, scores: scores };
+  if (match.phase === Match.phases.draft) {
+    setInnerHTML(document.querySelector("#match-status"), i18n.t("status.draft", params));
+    return;
+  }
+  setInnerHTML(
+    document.querySelector("#match-status"),
+    match.isOver
+      ? i18n.t("status.over", { ...params, count: match.round })
+      : i18n.t("status.playing", { ...params, phase: i18n.t(`phases.${match.phase}`) })
+  );
+}
+
+function updateDraft() {
+  const match = gameData.match;
+  const panel = document.querySelector("#draft-panel");
+  if (!panel) return;
+  const draft = match?.draft;
+  const isVisible = Boolean(draft && match.phase === Match.phases.draft && !gameData.replay);
+  panel.setData("visible", isVisible);
+  if (!isVisible) return;
+
+  const player = draft.currentPlayer;
+  setInnerHTML(
+    document.querySelector("#draft-title"),
+    player?.isHuman()
+      ? i18n.t(`draft.yourTurn.${draft.currentAction}`)
+      : i18n.t(`draft.waiting.${draft.currentAction}`, { player: player?.name })
+  );
+  const available = draft.getAvailable();
+  for (const [config, element] of draftElements) {
+    const state = draft.isBanned(config) ? "banned" : available.includes(config) ? "available" : "unavailable";
+    element.setData("state", state);
+    const pickedBy = players.filter((player, index) => draft.picks[index].includes(config));
+    element.setData("picks", pickedBy.map((player) => player.name).join(", "));
+  }
+}
+
+/**
+ * Shows the result screen once the match is over, except during replays.
+ */
+function updateResult() {
+  const match = gameData.match;
+  const screen = document.querySelector("#result-screen");
+  if (!screen) return;
+  const isVisible = Boolean(match?.isOver && !gameData.replay);
+  screen.setData("visible", isVisible);
+  if (!isVisible) return;
+
+  const winners = match.winners;
+  let title = i18n.t("result.draw");
+  if (winners.some((player) => player.isHuman())) {
+    title = i18n.t(winners.length > 1 ? "result.yourTeamWins" : "result.youWin");
+  } else if (winners.length > 0) {
+    title = i18n.t("result.wins", { names: winners.map((player) => player.name).join(" & "), count: winners.length });
+  }
+  setInnerHTML(document.querySelector("#result-title"), title);
+  const lines = players.map((player) => {
+    const remaining = player.dices.filter((dice) => !dice.isDestroyed).length;
+    const score = i18n.t("result.score", {
+      player: player.name,
+      points: i18n.t("points", { count: player.score }),
+      dices: i18n.t("dicesLeft", { count: remaining }),
+    });
+    return `<li>${score}</li>`;
+  });
+  setInnerHTML(document.querySelector("#result-scores"), lines.join(""));
+}
+
+/**
+ * @returns {import("./combatLog.js").LogFilter} Filter chosen in the combat log panel
+ */
+function getLogFilter() {
+  const filter = {};
+  for (const select of document.querySelectorAll("#log-controls select")) {
+    if (select.value) filter[select.dataset.filter] = select.value;
+  }
+  return filter;
+}
+
+/**
+ * Rebuilds the combat log panel when new entries are logged or the filter changes.
+ */
+function updateLog() {
+  const list = document.querySelector("#log-turns");
+  const log = gameData.match?.log ?? null;
+  if (!list) return;
+  const filter = getLogFilter();
+  const entries = log?.entries.length ?? 0;
+  if (renderedLog.log === log && renderedLog.entries === entries && renderedLog.filter === JSON.stringify(filter)) {
+    return;
+  }
+  renderedLog = { log: log, entries: entries, filter: JSON.stringify(filter) };
+
+  const options = log?.getFilterOptions() ?? { players: [], dices: [], types: [] };
+  updateLogOptions("#select-log-player", options.players.map((name) => [name, name]));
+  updateLogOptions("#select-log-dice", options.dices.map(({ uuid, label }) => [uuid, label]));
+  updateLogOptions(
+    "#select-log-type",
+    options.types.map((type) => [type, i18n.has(`events.${type}`) ? i18n.t(`events.${type}`) : type])
+  );
+
+  // Follows the latest entries, unless the log has been scrolled up
+  const isAtBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+  list.innerHTML = "";
+  for (const turn of log?.getTurns(filter) ?? []) {
+    const heading = CombatLog.describeTurn(turn);
+    const item = list.appendChild(document.createElement("li", { class: "log-turn", ["data-turn"]: turn.turn }));
+    item.appendChild(document.createElement("p", { class: "log-turn-title" }, { innerHTML: heading }));
+    const entryList = item.appendChild(document.createElement("ul"));
+    for (const entry of turn.entries) {
+      entryList.appendChild(
+        document.createElement(
+          "li",
+          { ["data-kind"]: entry.kind, ["data-type"]: entry.type },
+          { innerHTML: entry.text }
+        )
+      );
+    }
+  }
+  if (isAtBottom) list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Keeps the choice of a filter select, adding the options that have appeared and updating the texts of the others.
+ * @param {string} selector
+ * @param {[string, string][]} options Value and text of every option, besides the first one (no filter)
+ */
+function updateLogOptions(selector, options) {
+  const select = document.querySelector(selector);
+  if (!select) return;
+  const existing = new Map([...select.options].slice(1).map((option) => [option.value, option]));
+  for (const [value, text] of options) {
+    const option = existing.get(value);
+    if (!option) {
+      select.appendChild(document.createElement("option", { value: value }, { innerHTML: text }));
+    } else if (option.textContent !== text) {
+      option.textContent = text;
+    }
+  }
+}
+
+function updateBoard() {
+  board?.update(players, gameData.replay ? null : gameData.match);
 }
 
 function updateInfos() {
@@ -1,4 +1,7 @@
-import * as debug from "./debug.js";
+import * as logger from "./logger.js";
+
+/** DOM helpers below are only installed in browsers, so that the game logic can also run in Node */
+const hasDOM = typeof window !== "undefined" && typeof document !== "undefined";
 
 /**
  * Returns a value between two others at a point on a linear scale
@@ -34,13 +37,87 @@ export function clamp(val, min, max) {
   return val < min ? min : val > max ? max : val;
 }
 
+/**
+ * Seedable pseudorandom number generator (Mulberry32).
+ * The same seed always produces the same sequence, which makes matches reproducible.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed Unsigned 32-bit integer. Other numbers are truncated.
+   */
+  constructor(seed = generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns Random float in [0, 1), like Math.random()
+   */
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/**
+ * @returns A new seed that is not drawn from the game's random number generator
+ */
+export function generateSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
+
+/** Generator behind every random draw of the game
+ * @type {SeededRandom} */
+let rng = new SeededRandom();
+
+/**
+ * Resets the game's random number generator, so that the following draws are determined by `seed`.
+ * @param {number} seed
+ */
+export function setRandomSeed(seed) {
+  rng = new SeededRandom(seed);
+}
+
+/**
+ * @returns The seed of the game's random number generator
+ */
+export function getRandomSeed() {
+  return rng.seed;
+}
+
+/**
+ * @returns The seed and the current state of the game's random number generator, which can be saved
+ */
+export function getRandomState() {
+  return { seed: rng.seed, state: rng.state };
+}
+
+/**
+ * Restores the game's random number generator, so that it continues from where it was saved.
+ * @param {{seed: number, state: number}} randomState Object returned by {@link getRandomState}
+ */
+export function setRandomState({ seed, state }) {
+  rng = new SeededRandom(seed);
+  rng.state = state >>> 0;
+}
+
+/**
+ * Drop-in replacement for Math.random() that uses the game's seeded generator.
+ * @returns Random float in [0, 1)
+ */
+export function random() {
+  return rng.next();
+}
+
 /**
  * @param {number} min
  * @param {number} max
  * @returns Random integer in the specified range
  */
 export function getRandomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -49,7 +126,7 @@ export function getRandomInt(min, max) {
  * @returns Random float in the specified range
  */
 export function getRandomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+  return random() * (max - min) + min;
 }
 
 /**
@@ -306,13 +383,13 @@ export function formatNumber(num, digits = 1, useScientificNotation = true, useA
  */
 export function randomCoordinate(minX, maxX, minY, maxY) {
   // Computes X coordinate
-  const x = Math.random() * (maxX - minX) + minX;
-  const xSign = Math.random() < 0.5 ? -1 : 1;
+  const x = random() * (maxX - minX) + minX;
+  const xSign = random() < 0.5 ? -1 : 1;
   const xCoordinate = xSign * x;
 
   // Computes Y coordinate
-  const y = Math.random() * (maxY - minY) + minY;
-  const ySign = Math.random() < 0.5 ? -1 : 1;
+  const y = random() * (maxY - minY) + minY;
+  const ySign = random() < 0.5 ? -1 : 1;
   const yCoordinate = ySign * y;
 
   return { x: xCoordinate, y: yCoordinate };
@@ -331,44 +408,46 @@ export function lastIndex(array) {
  */
 Object.defineProperty(Array.prototype, "lastIndex", { value: () => this.length - 1, enumerable: false });
 
-/**
- * Gets a variable from the element's dataset.
- * @param {string} key Key for the variable
- * @returns {string} Value of the variable
- */
-HTMLElement.prototype.getData = function (key) {
-  return this.dataset[key];
-};
+if (hasDOM) {
+  /**
+   * Gets a variable from the element's dataset.
+   * @param {string} key Key for the variable
+   * @returns {string} Value of the variable
+   */
+  HTMLElement.prototype.getData = function (key) {
+    return this.dataset[key];
+  };
 
-/**
- * Writes a variable to the element's dataset.
- * Because the default of `value` is `""`, won't set the data to be
- * a string `"undefined"` as directly calling `this.dataset[key] = value`;
- * @param {string} key Key for the variable
- * @param {*} value Value of the variable
- */
-HTMLElement.prototype.setData = function (key, value = "") {
-  this.dataset[key] = value;
-};
+  /**
+   * Writes a variable to the element's dataset.
+   * Because the default of `value` is `""`, won't set the data to be
+   * a string `"undefined"` as directly calling `this.dataset[key] = value`;
+   * @param {string} key Key for the variable
+   * @param {*} value Value of the variable
+   */
+  HTMLElement.prototype.setData = function (key, value = "") {
+    this.dataset[key] = value;
+  };
 
-/**
- * Deletes a variable from the element's dataset (if it exists)
- * @param {string} key Key for the variable
- */
-HTMLElement.prototype.removeData = function (key) {
-  delete this.dataset[key];
-};
+  /**
+   * Deletes a variable from the element's dataset (if it exists)
+   * @param {string} key Key for the variable
+   */
+  HTMLElement.prototype.removeData = function (key) {
+    delete this.dataset[key];
+  };
 
-/**
- * @param {string} key Key of `dataset`'s property
- * @param {*} value If left undefined, won't check for the value.
- * @returns If the element's dataset contains a variable named as `key`, with specified value.
- */
-HTMLElement.prototype.containsData = function (key, value) {
-  const data = this.dataset[key];
-  if (!data && data != "") return false;
-  return value === undefined ? true : data === value.toString();
-};
+  /**
+   * @param {string} key Key of `dataset`'s property
+   * @param {*} value If left undefined, won't check for the value.
+   * @returns If the element's dataset contains a variable named as `key`, with specified value.
+   */
+  HTMLElement.prototype.containsData = function (key, value) {
+    const data = this.dataset[key];
+    if (!data && data != "") return false;
+    return value === undefined ? true : data === value.toString();
+  };
+}
 
 /**
  * @param {string} variable NAME of the variable.
@@ -517,10 +596,10 @@ export class StringParser {
     try {
       return math.evaluate(formula);
     } catch (e) {
-      debug.log(`An error occurred while parsing formula ${formula} with filters:`);
-      debug.log(filters);
-      debug.log(`${e.name}: ${e.message}`);
-      console.trace();
+      logger.error(logger.channels.data, `An error occurred while parsing formula ${formula}: ${e.message}`, {
+        filters: filters.map((filter) => filter.token),
+        stack: e.stack,
+      });
       return null;
     }
   }
@@ -545,81 +624,82 @@ export function isString(string) {
   return typeof string === "string" || string instanceof String;
 }
 
-/**
- * Chainable version of HTMLElement.prototype.append(nodes).
- * append() returns nothing, making it unable to be chained
- * @param  {...Node} nodes
- * @returns {HTMLElement} this
- */
-HTMLElement.prototype.append_chain = function (...nodes) {
-  // The rest parameter `nodes` is now an array of input parameters [node1,node2,node3...].
-  // The spread operator separates them as individuals again.
-  this.append(...nodes);
-  // Is equivalent to the below statement
-  // this.append.apply(this, nodes);
-  return this;
-};
+if (hasDOM) {
+  /**
+   * Chainable version of HTMLElement.prototype.append(nodes).
+   * append() returns nothing, making it unable to be chained
+   * @param  {...Node} nodes
+   * @returns {HTMLElement} this
+   */
+  HTMLElement.prototype.append_chain = function (...nodes) {
+    // The rest parameter `nodes` is now an array of input parameters [node1,node2,node3...].
+    // The spread operator separates them as individuals again.
+    this.append(...nodes);
+    // Is equivalent to the below statement
+    // this.append.apply(this, nodes);
+    return this;
+  };
 
-// Overwrites the original `addEventListener`
-// EventTarget is a DOM interface implemented by objects that can receive events and may have listeners for them.
-EventTarget.prototype._addEventListener = EventTarget.prototype.addEventListener;
-/**
- * Chainable version of original `addEventListener` and keeps track of all added event listeners.
- * TODO: Still lacks a modified version of `removeEventListener` to fully implement tracking!
- * Reference: https://www.sqlpac.com/en/documents/javascript-listing-active-event-listeners.html
- * @param {string} type
- * @param {boolean} listener Callback function to execute on event
- * @param {AddEventListenerOptions | boolean} options
- * @returns {EventTarget} this
- */
-EventTarget.prototype.addEventListener = function (type, listener, options) {
-  if (options == undefined) options = false;
-  this._addEventListener(type, listener, options);
-  // Creates map for the event listener lists
-  if (!this.eventListenerList) this.eventListenerList = {};
-  // Creates array as the event listener list
-  if (!this.eventListenerList[type]) this.eventListenerList[type] = [];
-  // Stores the event listener
-  this.eventListenerList[type].push({ listener: listener, options: options });
-  return this;
-};
+  // Overwrites the original `addEventListener`
+  // EventTarget is a DOM interface implemented by objects that can receive events and may have listeners for them.
+  EventTarget.prototype._addEventListener = EventTarget.prototype.addEventListener;
+  /**
+   * Chainable version of original `addEventListener` and keeps track of all added event listeners.
+   * TODO: Still lacks a modified version of `removeEventListener` to fully implement tracking!
+   * Reference: https://www.sqlpac.com/en/documents/javascript-listing-active-event-listeners.html
+   * @param {string} type
+   * @param {boolean} listener Callback function to execute on event
+   * @param {AddEventListenerOptions | boolean} options
+   * @returns {EventTarget} this
+   */
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (options == undefined) options = false;
+    this._addEventListener(type, listener, options);
+    // Creates map for the event listener lists
+    if (!this.eventListenerList) this.eventListenerList = {};
+    // Creates array as the event listener list
+    if (!this.eventListenerList[type]) this.eventListenerList[type] = [];
+    // Stores the event listener
+    this.eventListenerList[type].push({ listener: listener, options: options });
+    return this;
+  };
 
-/**
- * Gets the array for the event listeners of target type or the entire dictionary if `type` is invalid.
- * @param {string} type Type of the event listeners
- * ! Do not write to the returned object
- */
-EventTarget.prototype.getEventListeners = function (type) {
-  // ? Maybe returning null is better, because it's not heavily used.
-  if (!this.eventListenerList) return [];
-  if (!type) {
-    // Returns the entire map
-    return this.eventListenerList;
-  }
-  // ? Maybe returning null is better, because it's not heavily used.
-  if (!this.eventListenerList[type]) {
-    return [];
-  }
-  return this.eventListenerList[type];
-};
+  /**
+   * Gets the array for the event listeners of target type or the entire dictionary if `type` is invalid.
+   * @param {string} type Type of the event listeners
+   * ! Do not write to the returned object
+   */
+  EventTarget.prototype.getEventListeners = function (type) {
+    // ? Maybe returning null is better, because it's not heavily used.
+    if (!this.eventListenerList) return [];
+    if (!type) {
+      // Returns the entire map
+      return this.eventListenerList;
+    }
+    // ? Maybe returning null is better, because it's not heavily used.
+    if (!this.eventListenerList[type]) {
+      return [];
+    }
+    return this.eventListenerList[type];
+  };
 
-/**
- * @param {string} type Type of the event listeners
- * @returns {boolean} Whether the {@link EventTarget} has been registered a listener of `type`
- */
-EventTarget.prototype.hasEventListener = function (type) {
-  if (!this.eventListenerList) return false;
-  if (!this.eventListenerList[type]) false;
-  return this.eventListenerList[type].length > 0;
-};
+  /**
+   * @param {string} type Type of the event listeners
+   * @returns {boolean} Whether the {@link EventTarget} has been registered a listener of `type`
+   */
+  EventTarget.prototype.hasEventListener = function (type) {
+    if (!this.eventListenerList) return false;
+    if (!this.eventListenerList[type]) false;
+    return this.eventListenerList[type].length > 0;
+  };
+}
 
 /**
  * Displays all event listeners registered for an element.
  * @param {HTMLElement} element
  */
 export function showEvents(element) {
-  debug.log("Registered event listeners for element:", 0);
-  debug.log(element, 0);
+  logger.info(logger.channels.ui, "Registered event listeners for element:", { element: element });
   _showEvents(element.getEventListeners());
 }
 
@@ -629,36 +709,38 @@ export function showEvents(element) {
  */
 function _showEvents(events) {
   for (let event of Object.keys(events)) {
-    debug.log(event + " ----------------> " + events[event].length, 0);
+    logger.info(logger.channels.ui, event + " ----------------> " + events[event].length);
     for (let i = 0; i < events[event].length; i++) {
-      debug.log(events[event][i].listener.toString(), 0);
+      logger.info(logger.channels.ui, events[event][i].listener.toString());
     }
   }
 }
 
-// Overwrites document.createElement().
-Document.prototype._createElement = Document.prototype.createElement;
-/**
- * Creates an HTMLElement with defiend `attribtues` and `properties`.
- * This saves the headache to add them one by one.
- * @param {string} tagName The name of an element.
- * @param {Object} attributes Object literal storing the entries for attributes.
- * @param {Object} properties Object literal storing the entries for properties.
- * @param {ElementCreationOptions} options See {@link https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement}
- * @returns {HTMLElement}
- */
-Document.prototype.createElement = function (tagName, attributes, properties, options) {
-  /** @type {HTMLElement} */
-  let element = this._createElement(tagName, options);
-  // Adds attribtues to the element
-  for (const key in attributes) {
-    element.setAttribute(key, attributes[key]);
-  }
-  for (const key in properties) {
-    element[key] = properties[key];
-  }
-  return element;
-};
+if (hasDOM) {
+  // Overwrites document.createElement().
+  Document.prototype._createElement = Document.prototype.createElement;
+  /**
+   * Creates an HTMLElement with defiend `attribtues` and `properties`.
+   * This saves the headache to add them one by one.
+   * @param {string} tagName The name of an element.
+   * @param {Object} attributes Object literal storing the entries for attributes.
+   * @param {Object} properties Object literal storing the entries for properties.
+   * @param {ElementCreationOptions} options See {@link https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement}
+   * @returns {HTMLElement}
+   */
+  Document.prototype.createElement = function (tagName, attributes, properties, options) {
+    /** @type {HTMLElement} */
+    let element = this._createElement(tagName, options);
+    // Adds attribtues to the element
+    for (const key in attributes) {
+      element.setAttribute(key, attributes[key]);
+    }
+    for (const key in properties) {
+      element[key] = properties[key];
+    }
+    return element;
+  };
+}
 
 /**
  * Updates the innerHTML of an HTMLElement if the new innerHTML is not the same.
@@ -671,35 +753,51 @@ export function setInnerHTML(element, newHTML) {
   element.innerHTML = newHTML;
 }
 
+if (hasDOM) {
+  /**
+   * Sets the inline styles together to avoid multiple statements of element.style.aaa="bbb".
+   * @param {Map<string, string>} styles Object literal as a map
+   * @returns {HTMLElement} this
+   */
+  HTMLElement.prototype.setInlineStyle = function (styles) {
+    // Not an object
+    if (typeof styles !== "object") {
+      logger.error(logger.channels.ui, `Input styles "${styles}" is not a valid object literal or Map!`);
+      return;
+    }
+    for (const [key, value] of Object.entries(styles)) {
+      // Wrong key
+      if (this.style[key] === undefined) continue;
+      // In case the value is not a string, converts it.
+      this.style[key] = value.toString();
+    }
+    return this;
+  };
+}
+
 /**
- * Sets the inline styles together to avoid multiple statements of element.style.aaa="bbb".
- * @param {Map<string, string>} styles Object literal as a map
- * @returns {HTMLElement} this
+ * Used for default names and identifiers. Doesn't draw from the game's generator, so that creating dices, players
+ * or abilities in a different order doesn't change the outcomes of a seeded match.
+ * @returns Random string from Math.random()
  */
-HTMLElement.prototype.setInlineStyle = function (styles) {
-  // Not an object
-  if (typeof styles !== "object") {
-    debug.log(`Input styles "${styles}" is not a valid object literal or Map!`, 0);
-    return;
-  }
-  for (const [key, value] of Object.entries(styles)) {
-    // Wrong key
-    if (this.style[key] === undefined) continue;
-    // In case the value is not a string, converts it.
-    this.style[key] = value.toString();
-  }
-  return this;
-};
-
 export function getRandomString(length, hasNumbers = true, hasLetters = true, hasSpecialCharacters = false) {
   let ranges = [];
   if (hasNumbers) ranges.push([48, 57]);
   if (hasLetters) ranges.push([65, 90], [97, 122]);
   if (hasSpecialCharacters) ranges.push([33, 47], [58, 64], [91, 96], [123, 126]);
+  const total = ranges.reduce((sum, [min, max]) => sum + max - min + 1, 0);
 
   let chars = [];
   for (let i = 0; i < length; i++) {
-    chars.push(getRandomIndex("default", ...ranges));
+    // Same as getRandomIndex("default", ...ranges), the ranges don't overlap
+    let index = Math.floor(Math.random() * total);
+    for (const [min, max] of ranges) {
+      if (index <= max - min) {
+        chars.push(min + index);
+        break;
+      }
+      index -= max - min + 1;
+    }
   }
 
   return String.fromCharCode(...chars);
@@ -833,16 +931,30 @@ export function getRandomElement(array, count = 1) {
   if (count < 1) return undefined;
 
   if (count === 1) {
-    return array[(Math.random() * array.length) | 0];
+    return array[(random() * array.length) | 0];
   } else {
     const elements = Array(count);
     for (let i = 0; i < count; i++) {
-      elements[i] = array[(Math.random() * array.length) | 0];
+      elements[i] = array[(random() * array.length) | 0];
     }
     return elements;
   }
 }
 
+/**
+ * @param {number[]} weights Relative chances, e.g. [1, 1, 2] draws the last index half of the time
+ * @returns Random index of `weights`
+ */
+export function getWeightedIndex(weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let threshold = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) return i;
+  }
+  return weights.length - 1;
+}
+
 export function romanize(num) {
   if (isNaN(num)) return NaN;
   var digits = String(+num).split(""),
@@ -884,6 +996,20 @@ export function romanize(num) {
   return Array(+digits.join("") + 1).join("M") + roman;
 }
 
+/**
+ * 32-bit FNV-1a hash. Not cryptographic, but fast and identical in every environment.
+ * @param {string} string
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(string) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
 // https://stackoverflow.com/questions/105034/how-do-i-create-a-guid-uuid
 export function generateUUID() {
   return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
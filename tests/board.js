@@ -0,0 +1,63 @@
+/**
+ * Scenarios of the animations of the board. Run by tests/run.js, which provides a `document` to render the board in.
+ */
+import { scenario } from "../js/scenario.js";
+import { Board } from "../js/board.js";
+import { players } from "../js/player.js";
+import * as messages from "../js/messages.js";
+import * as tween from "../js/tween.js";
+
+/**
+ * Rolls a dice on a board, then plays its animations to the end.
+ * @param {import("../js/scenario.js").ScenarioContext} context
+ * @param {string} reference Dice reference
+ * @returns {{time: number, value: number | string}[]} Values shown instead of the value of the dice, frame after frame
+ */
+function animateRoll(context, reference) {
+  const dice = context.getDice(reference);
+  const area = document.createElement("div");
+  const board = new Board(area, area, () => {});
+  board.render(players);
+  const view = board.views.get(dice);
+  const unsubscribe = messages.subscribe("*", (message) => board.animate(message));
+  try {
+    dice.roll();
+  } finally {
+    unsubscribe();
+  }
+
+  const shown = [];
+  for (let frame = 1; frame <= 120 && tween.isRunning(`${dice.uuid}:value`); frame++) {
+    tween.update(1 / 30);
+    if (view.displayValue !== null) shown.push({ time: frame / 30, value: view.displayValue });
+  }
+  if (view.displayValue !== null) throw Error(`The animations still show ${view.displayValue} after 4s`);
+  return shown;
+}
+
+export default [
+  scenario("A roll lowered by an enemy Warrior counts down to its value once it has settled")
+    .player("A", ["Warrior"])
+    .player("B", ["Wizard"])
+    .force("B.Wizard", 4)
+    .step("animate the roll of B.Wizard", (context) => {
+      // Wizard's +1 is part of the outcome, Warrior's -1 is counted once the faces have stopped flicking
+      const counted = animateRoll(context, "B.Wizard").filter((frame) => frame.time > 0.6);
+      const values = counted.map((frame) => frame.value);
+      if (values.at(-1) !== 4 || values.some((value) => value !== 4 && value !== 5)) {
+        throw Error(`Counted ${values.join(", ") || "nothing"}`);
+      }
+    })
+    .expect("B.Wizard", { value: 4 }),
+
+  scenario("A roll nothing reacts to ends on its outcome")
+    .player("A", ["Wizard"])
+    .player("B", ["Rogue"])
+    .force("A.Wizard", 2)
+    .step("animate the roll of A.Wizard", (context) => {
+      const shown = animateRoll(context, "A.Wizard");
+      if (shown.length === 0) throw Error("The roll wasn't animated");
+      if (shown.at(-1).time > 0.61) throw Error(`Still animated after ${shown.at(-1).time}s`);
+    })
+    .expect("A.Wizard", { value: 3 }),
+];
@@ -0,0 +1,237 @@
+/**
+ * Tests of networked matches: lockstep sessions playing through a local relay. Run by tests/run.js.
+ *
+ * Every session of this process shares the registries of players and dices, which hold the match started last,
+ * unless the sessions take turns through {@link playInTurn}.
+ */
+import { createRelayServer } from "../js/relay.js";
+import { LockstepSession, messageTypes, hashState } from "../js/network.js";
+import { players } from "../js/player.js";
+import { dices } from "../js/dice.js";
+import { Match } from "../js/match.js";
+import * as utils from "../js/utils.js";
+
+/**
+ * @typedef {Object} NetworkTest
+ * @property {string} name
+ * @property {(url: string) => Promise<void>} run Plays in its own room of the relay at `url`. Throws if it fails.
+ */
+
+/**
+ * @param {() => boolean} predicate
+ * @param {string} description Tells what was awaited if it never happens
+ * @param {number} timeout In milliseconds
+ */
+async function waitFor(predicate, description, timeout = 2000) {
+  const end = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > end) throw Error(`Timed out waiting for ${description}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * @param {string} url
+ * @param {string} room
+ * @returns {LockstepSession} Session that remembers the hash of its match when it starts, in `startHash`
+ */
+function createSession(url, room) {
+  const session = new LockstepSession({ url: url, room: room, matchOptions: { turnDelay: 0, record: false } });
+  session.onStart = (match) => {
+    session.startHash = hashState(match);
+    session.world = saveWorld();
+  };
+  return session;
+}
+
+/**
+ * @returns What a match plays with besides itself: the registries and the random number generator
+ */
+function saveWorld() {
+  return { players: [...players], dices: [...dices], random: utils.getRandomState() };
+}
+
+/**
+ * @param {{players: import("../js/player.js").Player[], dices: import("../js/dice.js").Dice[], random: Object}} world
+ */
+function restoreWorld(world) {
+  players.splice(0, players.length, ...world.players);
+  dices.splice(0, dices.length, ...world.dices);
+  utils.setRandomState(world.random);
+}
+
+/**
+ * Updates the match of every session in turn, each with its own registries and random number generator. The local
+ * player of a session selects the first dice it can on its turns. Every session remembers:
+ * - `hashes`: the hash of its match after each number of turns taken
+ * - `selections`: what its local player has selected, turn after turn
+ * - `applied`: what has been selected for remote players, turn after turn
+ * @param {LockstepSession[]} sessions
+ * @param {(match: import("../js/match.js").Match) => boolean} isDone Whether a match has been played far enough
+ * @param {number} timeout In milliseconds
+ */
+async function playInTurn(sessions, isDone, timeout = 5000) {
+  for (const session of sessions) {
+    session.hashes = new Map([[session.match.turnsTaken, session.startHash]]);
+    session.selections = [];
+    session.applied = [];
+  }
+  const describe = (match, dice) => ({ turn: match.turnsTaken, phase: match.phase, dice: dice?.name ?? null });
+  await waitFor(
+    () => {
+      for (const session of sessions) {
+        const match = session.match;
+        if (isDone(match)) continue;
+        restoreWorld(session.world);
+        const pending = session.pendingActions.length;
+        session.update();
+        if (session.pendingActions.length < pending) {
+          session.applied.push(describe(match, match.currentPlayer.pendingSelection));
+        }
+        const local = session.localPlayer;
+        if (match.isWaitingFor(local) && local.pendingSelection === undefined) {
+          local.pendingSelection = local.getSelectableDices(match.phase)[0] ?? null;
+          session.selections.push(describe(match, local.pendingSelection));
+        } else if (match.currentPlayer === local && match.phase === Match.phases.roll) {
+          session.selections.push(describe(match, null));
+        }
+        match.update(0);
+        session.hashes.set(match.turnsTaken, hashState(match));
+        session.world = saveWorld();
+      }
+      return sessions.every((session) => isDone(session.match));
+    },
+    "the matches to be played",
+    timeout
+  );
+}
+
+/** @type {NetworkTest[]} */
+const tests = [
+  {
+    name: "Two sessions start the same seeded match",
+    run: async (url) => {
+      const host = createSession(url, "start");
+      const guest = createSession(url, "start");
+      await host.connect();
+      await guest.connect();
+      await waitFor(() => host.match && guest.match, "both matches to start");
+      if (!host.isHost || guest.isHost) throw Error(`Host is seat ${host.isHost ? host.seat : guest.seat}`);
+      if (host.match.seed !== guest.match.seed) throw Error(`Seeds ${host.match.seed} and ${guest.match.seed}`);
+      if (host.startHash !== guest.startHash) throw Error(`Hashes ${host.startHash} and ${guest.startHash}`);
+      host.close();
+      guest.close();
+    },
+  },
+  {
+    name: "A tampered state is reported as a desync by both sessions",
+    run: async (url) => {
+      const host = createSession(url, "desync");
+      const guest = createSession(url, "desync");
+      await host.connect();
+      await guest.connect();
+      await waitFor(() => host.match && guest.match, "both matches to start");
+      // The registries hold the guest's match, whose first player is the host's
+      const match = guest.match;
+      const dice = players[0].dices[0];
+      const value = dice.value;
+      dice.value = 99;
+      const hash = hashState(match);
+      dice.value = value;
+      const turn = match.turnsTaken;
+      const action = { type: messageTypes.action, turn: turn, phase: match.phase, player: 0, dice: null, config: null };
+      host.send({ ...action, hash: hash });
+      await waitFor(() => guest.pendingActions.length > 0, "the guest to receive the action");
+      guest.update();
+      if (guest.desyncTurn !== turn) throw Error(`Guest reported a desync at turn ${guest.desyncTurn}`);
+      await waitFor(() => host.desyncTurn === turn, "the host to be told about the desync");
+      host.close();
+      guest.close();
+    },
+  },
+  {
+    name: "A client leaving before the start doesn't block the room",
+    run: async (url) => {
+      const host = createSession(url, "leave");
+      // Leaves as soon as the host proposes a match, before accepting it
+      const leaver = createSession(url, "leave");
+      leaver.handleMessage = (message) => {
+        if (message.type === messageTypes.hello) leaver.close();
+        else LockstepSession.prototype.handleMessage.call(leaver, message);
+      };
+      await host.connect();
+      await leaver.connect();
+      await waitFor(() => host.peers.length === 1, "the host to see the client leave");
+      const guest = createSession(url, "leave");
+      await guest.connect();
+      await waitFor(() => host.match && guest.match, "both matches to start");
+      if (host.startHash !== guest.startHash) throw Error(`Hashes ${host.startHash} and ${guest.startHash}`);
+      host.close();
+      guest.close();
+    },
+  },
+  {
+    name: "Two sessions play a round with the same outcomes",
+    run: async (url) => {
+      const host = createSession(url, "round");
+      const guest = createSession(url, "round");
+      await host.connect();
+      await guest.connect();
+      await waitFor(() => host.match && guest.match, "both matches to start");
+      // A side may lose every dice in the first round already
+      await playInTurn([host, guest], (match) => match.round > 1 || match.isOver);
+      // Selections of a local player are the selections of the same remote player on the other side
+      for (const [local, remote] of [
+        [host, guest],
+        [guest, host],
+      ]) {
+        const selected = JSON.stringify(local.selections);
+        const applied = JSON.stringify(remote.applied);
+        if (selected !== applied) throw Error(`Selected ${selected}, but the other side applied ${applied}`);
+        if (!local.selections.some((selection) => selection.dice !== null)) throw Error("No dice was selected");
+      }
+      for (const [turn, hash] of host.hashes) {
+        if (guest.hashes.get(turn) !== hash) throw Error(`Hashes differ after turn ${turn}`);
+      }
+      if (guest.hashes.size < 7 || host.desyncTurn !== null || guest.desyncTurn !== null) {
+        throw Error(`Played ${guest.hashes.size - 1} turns, desync at turn ${host.desyncTurn ?? guest.desyncTurn}`);
+      }
+      host.close();
+      guest.close();
+    },
+  },
+];
+
+/**
+ * Runs every test against a relay of its own, which is closed afterwards.
+ * @param {string} filter Only runs the tests whose names contain it
+ * @returns {Promise<import("../js/scenario.js").ScenarioResult[]>}
+ */
+export async function runNetworkTests(filter = "") {
+  const selected = tests.filter((test) => test.name.includes(filter));
+  if (selected.length === 0) return [];
+  const server = await createRelayServer({ port: 0 });
+  const url = `ws://127.0.0.1:${server.address().port}`;
+  const results = [];
+  for (const test of selected) {
+    try {
+      await test.run(url);
+      results.push({ name: test.name, passed: true });
+    } catch (e) {
+      results.push({ name: test.name, passed: false, error: e.message });
+    }
+  }
+  const isClosed = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), 2000);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+  results.push(
+    isClosed
+      ? { name: "The relay closes", passed: true }
+      : { name: "The relay closes", passed: false, error: "The relay was still open after 2s" }
+  );
+  return results;
+}
@@ -0,0 +1,41 @@
+/**
+ * Runs the scenarios of tests/scenarios.js and reports which dices of `configs` have none, then the networked tests
+ * of tests/network.js. Exits with code 1 if any test fails or any dice isn't covered.
+ *
+ * Usage (Node 22, or Node 20 with --experimental-detect-module; mathjs has to be installed):
+ *   node tests/run.js
+ *   node tests/run.js --filter Warrior   Only runs the tests whose names contain "Warrior"
+ *
+ * The networked tests need a global WebSocket (Node 22) and the board tests need jsdom, they are skipped otherwise.
+ */
+import { runScenarios, getUncoveredDices, formatResults } from "../js/scenario.js";
+import { runNetworkTests } from "./network.js";
+import * as i18n from "../js/i18n.js";
+
+// Browsers load mathjs from a CDN, which formulas use as a global
+globalThis.math ??= await import("mathjs");
+// Texts are checked in the locale that browsers fall back to
+await i18n.loadLocale(i18n.fallbackLocale);
+const { default: scenarios } = await import("./scenarios.js");
+// The board renders in a document, which jsdom provides outside of browsers
+const jsdom = await import("jsdom").catch(() => null);
+if (jsdom) {
+  globalThis.document ??= new jsdom.JSDOM().window.document;
+  const { default: boardScenarios } = await import("./board.js");
+  scenarios.push(...boardScenarios);
+} else {
+  console.log("Board tests skipped: jsdom isn't installed");
+}
+
+const args = process.argv.slice(2);
+const filter = args.includes("--filter") ? args[args.indexOf("--filter") + 1] ?? "" : "";
+const results = runScenarios(scenarios, filter);
+if (globalThis.WebSocket) {
+  results.push(...(await runNetworkTests(filter)));
+} else {
+  console.log("Networked tests skipped: this version of Node has no WebSocket");
+}
+// Coverage only makes sense for the whole suite
+const uncovered = filter ? [] : getUncoveredDices(scenarios);
+console.log(formatResults(results, uncovered));
+if (results.some((result) => !result.passed) || uncovered.length > 0) process.exitCode = 1;
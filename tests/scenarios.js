@@ -0,0 +1,632 @@
+/**
+ * Regression scenarios of the dices of data/dices.json. Every entry of `configs` needs at least one scenario.
+ * Run them with `node tests/run.js`, see js/scenario.js for the steps.
+ */
+import { scenario } from "../js/scenario.js";
+import { StatusEffect } from "../js/status.js";
+import { Modifier } from "../js/modifier.js";
+import { Dice, addEventObserver, removeEventObserver } from "../js/dice.js";
+import { Player, players, initPlayers, resetPlayers } from "../js/player.js";
+import { Match } from "../js/match.js";
+import * as utils from "../js/utils.js";
+import * as i18n from "../js/i18n.js";
+import * as save from "../js/save.js";
+import gameData from "../js/gameData.js";
+import { ReplayPlayer } from "../js/recorder.js";
+import { hashState } from "../js/network.js";
+
+/** Predicate of values drawn at random */
+const between = (min, max) => (value) => value >= min && value <= max;
+
+/**
+ * @param {Dice} dice
+ * @returns Chances of the outcomes of the dice, e.g. "skull:0.25,1:0.5,2:0.25"
+ */
+const describeDistribution = (dice) =>
+  dice
+    .getDistribution()
+    .map(({ value, symbol, probability }) => `${symbol ?? value}:${Number(probability.toFixed(4))}`)
+    .join(",");
+
+/**
+ * @param {string} expected Scores of the players in the order they are declared, e.g. "1,2"
+ * @returns {(context: import("../js/scenario.js").ScenarioContext) => void} Step checking the scores
+ */
+const expectScores = (expected) => (context) => {
+  const scores = Object.values(context.players)
+    .map((player) => player.score)
+    .join(",");
+  if (scores !== expected) throw Error(`Scores are ${scores}, expected ${expected}`);
+};
+
+/**
+ * Plays a match of computer players until it's over, then checks that its "gameOver" event tells how it ended.
+ * @param {ConstructorParameters<typeof Match>[0]} options
+ * @returns {Match}
+ */
+function playMatch(options) {
+  let event = null;
+  const observer = { onEventHandled: (handled) => handled.type === Match.events.gameOver && (event = handled) };
+  addEventObserver(observer);
+  let match;
+  try {
+    match = new Match({ seats: ["greedy", "greedy"], record: false, maxRounds: 100, ...options }).runToEnd();
+  } finally {
+    removeEventObserver(observer);
+  }
+  if (match.round >= match.maxRounds) throw Error(`The match lasted ${match.round} rounds`);
+  const expected = {
+    winners: match.winners.map((player) => players.indexOf(player)),
+    scores: players.map((player) => player.score),
+  };
+  const actual = { winners: event?.winners, scores: event?.scores };
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw Error(`The gameOver event tells ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+  return match;
+}
+
+/**
+ * @returns Hash of the states of every dice, which is what replays restore
+ */
+const hashDices = () =>
+  utils.hashString(JSON.stringify(players.flatMap((player) => player.dices).map((dice) => dice.getState())));
+
+/**
+ * @param {Player} player
+ * @returns Whether all the dices of the player have been destroyed
+ */
+const isOutOfDices = (player) => player.dices.every((dice) => dice.isDestroyed);
+
+export default [
+  scenario("Warrior lowers the roll of an enemy Wizard")
+    .player("A", ["Warrior"])
+    .player("B", ["Wizard"])
+    .force("B.Wizard", 4)
+    .roll("B.Wizard")
+    .expect("B.Wizard", { value: 4 })
+    .expectMessage("Wizard +1 (4 => 5)")
+    .expectMessage("Warrior => Wizard -1 (5 => 4)"),
+
+  scenario("Warrior spares its own rolls and those of its allies")
+    .player("A", ["Warrior", "Wizard"])
+    .player("B", ["Rogue"], { team: 1 })
+    .player("C", ["Warrior"], { team: 1 })
+    .force("A.Warrior", 3)
+    .force("A.Wizard", 2)
+    .force("B.Rogue", 6)
+    .roll("A.Warrior")
+    .roll("A.Wizard")
+    .roll("B.Rogue")
+    // Only the enemy Warrior of team 1 lowers A's rolls
+    .expect("A.Warrior", { value: 2 })
+    .expect("A.Wizard", { value: 2 })
+    // Only A's Warrior lowers B's roll
+    .expect("B.Rogue", { value: 5 }),
+
+  scenario("Wizard doesn't raise the rolls of other dices")
+    .player("A", ["Wizard", "Rogue"])
+    .player("B", ["Rogue"])
+    .force("A.Rogue", 3)
+    .force("B.Rogue", 3)
+    .roll("A.Rogue")
+    .roll("B.Rogue")
+    .expect("A.Rogue", { value: 3 })
+    .expect("B.Rogue", { value: 3 })
+    .expectNoMessage("Wizard"),
+
+  scenario("Berzerker is halved instead of destroyed")
+    .player("A", ["Berzerker"])
+    .player("B", ["Warrior"])
+    .force("A.Berzerker", 6)
+    .roll("A.Berzerker")
+    .expect("A.Berzerker", { value: 5 })
+    .destroy("A.Berzerker", "B.Warrior")
+    // Effective values are rounded down
+    .expect("A.Berzerker", { isDestroyed: false, value: 2 })
+    .expectMessage("Berzerker avoided being destroyed, but /2. (5 => 2)"),
+
+  scenario("Ranger never rerolls lower")
+    .player("A", ["Ranger"])
+    .player("B", ["Rogue"])
+    .force("A.Ranger", 5, 2, 6)
+    .roll("A.Ranger")
+    .reroll("A.Ranger")
+    .expect("A.Ranger", { value: 5 })
+    .expectMessage("Ranger rerolls with protection. (>= 5, 2 => 5)")
+    .reroll("A.Ranger")
+    .expect("A.Ranger", { value: 6 }),
+
+  scenario("Rogue gains 2 when it hides")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .force("A.Rogue", 3)
+    .roll("A.Rogue")
+    .hide("A.Rogue")
+    .expect("A.Rogue", { value: 5, isHidden: true, statuses: [StatusEffect.types.hidden] })
+    .expectMessage('Rogue +2 from "hide." (3 => 5)')
+    .expect("B.Rogue", { value: null, isHidden: false }),
+
+  scenario("King grows and rerolls when an enemy hides")
+    .player("A", ["King"])
+    .player("B", ["Rogue"])
+    .force("A.King", 4)
+    .roll("A.King")
+    .hide("B.Rogue")
+    .expect("A.King", { minValue: 3, maxValue: 12, value: between(3, 12) })
+    .expectMessage("King rerolls with greater power. (1,10 => 3,12)"),
+
+  scenario("King ignores allies that hide")
+    .player("A", ["King", "Rogue"])
+    .player("B", ["Rogue"])
+    .hide("A.Rogue")
+    .expect("A.King", { minValue: 1, maxValue: 10 })
+    .expectNoMessage("King"),
+
+  scenario("Queen blesses the rolls of her allies")
+    .player("A", ["Queen", "Rogue"])
+    .player("B", ["Rogue"])
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: between(1, 10) })
+    .expectMessage("Rogue rolls with Queen's bless. (1,6+4 =>")
+    .roll("B.Rogue")
+    .expect("B.Rogue", { value: between(1, 6) }),
+
+  scenario("Queen's bless follows the roll options of her ally")
+    .player("A", ["Queen", "Rogue"])
+    .player("B", ["Rogue"])
+    .step("give advantage to A.Rogue", (context) =>
+      context.getDice("A.Rogue").addStatus(StatusEffect.types.advantage, { duration: 1 })
+    )
+    // The roll throws 1 and 2, then the bless throws 3 and 9 in the blessed range
+    .forceFaces("A.Rogue", 1, 2, 3, 9)
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: 9 })
+    .expectEvent("A.Rogue", "roll", { outcome: 9, rolls: "[3], 9" })
+    .expectMessage("Rogue rolls with Queen's bless. (1,6+4 => 9)"),
+
+  scenario("Queen's bless is still lowered by an enemy Warrior")
+    // The Warrior's listeners come first
+    .player("B", ["Warrior"])
+    .player("A", ["Queen", "Rogue"])
+    .forceFaces("A.Rogue", 2, 8)
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: 7 })
+    .step("explain the value of A.Rogue", (context) => {
+      const explanation = context.getDice("A.Rogue").explain(Modifier.stats.value);
+      if (explanation !== "8 (Warrior -1) = 7") throw Error(`Explanation is ${explanation}`);
+    }),
+
+  scenario("King's redraw explodes when it's exploding")
+    .player("A", ["King"])
+    .player("B", ["Rogue"])
+    .step("make A.King explode", (context) =>
+      context.getDice("A.King").addStatus(StatusEffect.types.exploding, { duration: 1 })
+    )
+    // The range becomes 3-12, so 12 explodes
+    .forceFaces("A.King", 12, 5)
+    .hide("B.Rogue")
+    .expect("A.King", { value: 17 })
+    .expectEvent("A.King", "reroll", { outcome: 17, rolls: "12+5" }),
+
+  scenario("Knight disables an enemy champion when an enemy destroys an ally")
+    .player("A", ["Knight", "Rogue"])
+    .player("B", ["Queen", "Warrior"])
+    .destroy("A.Rogue", "B.Warrior")
+    .expect("A.Rogue", { isDestroyed: true })
+    .expect("B.Queen", { isDisabled: true })
+    .expectMessage("Queen is disabled by Knight")
+    .tick(StatusEffect.units.turn, "B")
+    .expect("B.Queen", { isDisabled: false }),
+
+  scenario("Knight doesn't answer destructions by allies")
+    .player("A", ["Knight", "Rogue"])
+    .player("B", ["Queen"])
+    .destroy("A.Rogue", "A.Knight")
+    .expect("A.Rogue", { isDestroyed: true })
+    .expect("B.Queen", { isDisabled: false }),
+
+  scenario("Paladin is shielded by its shield face")
+    .player("A", ["Paladin"])
+    .player("B", ["Rogue"])
+    .force("A.Paladin", "shield")
+    .roll("A.Paladin")
+    .expect("A.Paladin", { value: 0, symbol: "shield", statuses: [StatusEffect.types.shielded] })
+    .destroy("A.Paladin", "B.Rogue")
+    .expect("A.Paladin", { isDestroyed: false, statuses: [] })
+    .expectMessage("Paladin's shield absorbed the destruction")
+    .force("A.Paladin", 7)
+    .roll("A.Paladin")
+    .expect("A.Paladin", { value: 7, symbol: null, statuses: [] }),
+
+  scenario("Range modifiers move the numbered faces")
+    .player("A", ["Paladin"])
+    .player("B", ["Rogue"])
+    .step("add +2/+2 to A.Paladin", (context) => {
+      const dice = context.getDice("A.Paladin");
+      dice.addModifier(new Modifier(Modifier.stats.minValue, Modifier.operations.add, 2));
+      dice.addModifier(new Modifier(Modifier.stats.maxValue, Modifier.operations.add, 2));
+    })
+    .step("check the faces of A.Paladin", (context) => {
+      const faces = context.getDice("A.Paladin").getFaces();
+      const outcomes = faces.map((face) => face.symbol ?? face.value).join(",");
+      if (outcomes !== "4,5,7,9,11,shield") throw Error(`Faces are ${outcomes}`);
+    })
+    .roll("A.Paladin")
+    .expect("A.Paladin", { value: (value) => [0, 4, 5, 7, 9, 11].includes(value) }),
+
+  scenario("Cultist disables an enemy champion on a skull")
+    .player("A", ["Cultist"])
+    .player("B", ["Queen", "Rogue"])
+    .force("A.Cultist", 3, "skull")
+    .roll("A.Cultist")
+    .expect("B.Queen", { isDisabled: false })
+    .roll("A.Cultist")
+    .expect("A.Cultist", { value: 0, symbol: "skull" })
+    .expect("B.Queen", { isDisabled: true })
+    .expectMessage("Cultist rolls a skull. Queen is disabled"),
+
+  scenario("Cultist rolls its faces by their weights")
+    .player("A", ["Cultist"])
+    .player("B", ["Rogue"])
+    .step("check the distribution of A.Cultist", (context) => {
+      const distribution = context
+        .getDice("A.Cultist")
+        .getDistribution()
+        .map(({ value, symbol, probability }) => `${symbol ?? value}:${probability}`)
+        .join(",");
+      if (distribution !== "skull:0.125,1:0.25,3:0.25,5:0.25,7:0.125") throw Error(`Distribution is ${distribution}`);
+    }),
+
+  scenario("Bard gives advantage to an ally")
+    .player("A", ["Bard", "Rogue"])
+    .player("B", ["Rogue"])
+    .roll("A.Bard")
+    .expect("A.Rogue", { statuses: [StatusEffect.types.advantage] })
+    .expectMessage("Bard inspires Rogue")
+    .forceFaces("A.Rogue", 2, 5)
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: 5 })
+    .expectEvent("A.Rogue", "roll", { outcome: 5, rolls: "[2], 5" })
+    .tick(StatusEffect.units.round)
+    .expect("A.Rogue", { statuses: [] }),
+
+  scenario("Witch gives disadvantage to an enemy")
+    .player("A", ["Witch"])
+    .player("B", ["Rogue"])
+    .roll("A.Witch")
+    .expect("B.Rogue", { statuses: [StatusEffect.types.disadvantage] })
+    .expectMessage("Witch curses Rogue")
+    .forceFaces("B.Rogue", 2, 5)
+    .roll("B.Rogue")
+    .expect("B.Rogue", { value: 2 })
+    .expectEvent("B.Rogue", "roll", { rolls: "2, [5]" }),
+
+  scenario("Advantage and disadvantage cancel each other out")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("give both to A.Rogue", (context) => {
+      const dice = context.getDice("A.Rogue");
+      dice.addStatus(StatusEffect.types.advantage, { duration: 1 });
+      dice.addStatus(StatusEffect.types.disadvantage, { duration: 1 });
+    })
+    .forceFaces("A.Rogue", 4)
+    .roll("A.Rogue")
+    .expectEvent("A.Rogue", "roll", { outcome: 4, rolls: "4" }),
+
+  scenario("Gunslinger explodes on its highest face")
+    .player("A", ["Gunslinger"])
+    .player("B", ["Rogue"])
+    .forceFaces("A.Gunslinger", 6, 6, 3, 5)
+    .roll("A.Gunslinger")
+    .expect("A.Gunslinger", { value: 15 })
+    .expectEvent("A.Gunslinger", "roll", { rolls: "6+6+3" })
+    .reroll("A.Gunslinger")
+    .expectEvent("A.Gunslinger", "reroll", { outcome: 5, rolls: "5", previousRoll: 15 }),
+
+  scenario("Exploding status makes any dice explode")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("make A.Rogue explode", (context) =>
+      context.getDice("A.Rogue").addStatus(StatusEffect.types.exploding, { duration: 1 })
+    )
+    .forceFaces("A.Rogue", 6, 1)
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: 7 }),
+
+  scenario("Warlord keeps its two highest throws")
+    .player("A", ["Warlord"])
+    .player("B", ["Rogue"])
+    .forceFaces("A.Warlord", 5, 2, 6)
+    .roll("A.Warlord")
+    .expect("A.Warlord", { value: 11 })
+    .expectEvent("A.Warlord", "roll", { rolls: "5, [2], 6" })
+    .step("check the distribution of A.Warlord", (context) => {
+      const distribution = context.getDice("A.Warlord").getDistribution();
+      const total = distribution.reduce((sum, outcome) => sum + outcome.probability, 0);
+      const range = `${distribution[0].value}-${distribution.at(-1).value}`;
+      if (Math.abs(total - 1) > 1e-9 || range !== "2-12") throw Error(`Distribution over ${range} adds up to ${total}`);
+      const expected = context.getDice("A.Warlord").getExpectedValue().toFixed(2);
+      if (expected !== "8.46") throw Error(`Expected value is ${expected}`);
+    }),
+
+  scenario("Dropped throws don't show their symbols")
+    .player("A", ["Paladin"])
+    .player("B", ["Rogue"])
+    .step("give advantage to A.Paladin", (context) =>
+      context.getDice("A.Paladin").addStatus(StatusEffect.types.advantage, { duration: 1 })
+    )
+    .forceFaces("A.Paladin", "shield", 3)
+    .roll("A.Paladin")
+    .expect("A.Paladin", { value: 3, symbol: null, statuses: [StatusEffect.types.advantage] })
+    .expectEvent("A.Paladin", "roll", { rolls: "[0 shield], 3" }),
+
+  scenario("The round is won by the highest total before the destructions")
+    .player("A", ["Rogue", "Rogue"])
+    .player("B", ["Rogue", "Rogue"])
+    .force("A.Rogue", 6)
+    .force("A.Rogue#2", 1)
+    .force("B.Rogue", 5)
+    .force("B.Rogue#2", 4)
+    .roll("A.Rogue")
+    .roll("A.Rogue#2")
+    .roll("B.Rogue")
+    .roll("B.Rogue#2")
+    .step("resolve the round", () => new Match({ record: false }).resolve())
+    // Each side destroys one dice, then A's 6 would beat B's 4
+    .expect("A.Rogue#2", { isDestroyed: true })
+    .expect("B.Rogue", { isDestroyed: true })
+    .step("check the scores", expectScores("1,2")),
+
+  scenario("The rank resolution compares the dices of the same rank and spares the ties")
+    .player("A", ["Rogue", "Rogue", "Rogue"])
+    .player("B", ["Rogue", "Rogue"])
+    .force("A.Rogue", 6)
+    .force("A.Rogue#2", 3)
+    .force("A.Rogue#3", 2)
+    .force("B.Rogue", 5)
+    .force("B.Rogue#2", 3)
+    .roll("A.Rogue")
+    .roll("A.Rogue#2")
+    .roll("A.Rogue#3")
+    .roll("B.Rogue")
+    .roll("B.Rogue#2")
+    .step("resolve the round by rank", () =>
+      new Match({ record: false, rules: { resolution: Match.resolutions.rank } }).resolve()
+    )
+    // 6 beats 5, 3 ties with 3 and B has no third dice to lose
+    .expect("B.Rogue", { isDestroyed: true })
+    .expect("B.Rogue#2", { isDestroyed: false })
+    .expect("A.Rogue#2", { isDestroyed: false })
+    .expect("A.Rogue#3", { isDestroyed: false })
+    .step("check the scores", expectScores("2,0")),
+
+  scenario("The total resolution lets the best dice of the highest total destroy the lowest dice of the others")
+    .player("A", ["Rogue", "Rogue"])
+    .player("B", ["Rogue", "Rogue"])
+    .player("C", ["Rogue"])
+    .force("A.Rogue", 6)
+    .force("A.Rogue#2", 1)
+    .force("B.Rogue", 4)
+    .force("B.Rogue#2", 5)
+    .force("C.Rogue", 3)
+    .roll("A.Rogue")
+    .roll("A.Rogue#2")
+    .roll("B.Rogue")
+    .roll("B.Rogue#2")
+    .roll("C.Rogue")
+    .step("resolve the round by total", () =>
+      new Match({ record: false, rules: { resolution: Match.resolutions.total } }).resolve()
+    )
+    // B's 9 beats A's 7 and C's 3
+    .expect("A.Rogue#2", { isDestroyed: true })
+    .expect("A.Rogue", { isDestroyed: false })
+    .expect("C.Rogue", { isDestroyed: true })
+    .expect("B.Rogue", { isDestroyed: false })
+    .step("check the scores", expectScores("0,3,0")),
+
+  scenario("A match is won by the leader once a player reaches the target score")
+    .step("play a match to 3 points", () => {
+      const match = playMatch({ seed: 1, rules: { targetScore: 3 } });
+      if (match.winners.length !== 1 || match.winners[0].score < 3) throw Error(`Won by ${match.winners.join(", ")}`);
+      if (match.players.some(isOutOfDices)) throw Error("A player has run out of dices");
+    }),
+
+  scenario("A match is won by the last player with dices")
+    .step("play a match without a target score", () => {
+      // Berzerkers are halved instead of destroyed, so the matches of some seeds never end
+      const match = playMatch({ seed: 2, rules: { targetScore: Infinity } });
+      const losers = match.players.filter((player) => !match.winners.includes(player));
+      if (match.winners.length !== 1 || isOutOfDices(match.winners[0]) || !losers.every(isOutOfDices)) {
+        throw Error(`Won by ${match.winners.join(", ") || "nobody"} after ${match.round} rounds`);
+      }
+    }),
+
+  scenario("A recorded match is saved, loaded and replayed frame by frame")
+    .step("record, save, load and replay a match", () => {
+      const match = new Match({ seed: 7, seats: ["greedy", "lookahead"], turnDelay: 0, maxRounds: 3 });
+      // Hashes of the dices once the event of each frame has been handled, by index of the frame
+      const hashes = new Map();
+      const started = [];
+      const observer = {
+        // Runs before the recorder, which adds the frame of the event
+        onEvent: () => started.push(match.recorder?.recording.frames.length),
+        onEventHandled: () => {
+          const index = started.pop();
+          if (index !== undefined) hashes.set(index, hashDices());
+        },
+      };
+      addEventObserver(observer);
+      try {
+        match.runToEnd();
+      } finally {
+        removeEventObserver(observer);
+      }
+
+      gameData.match = match;
+      const hash = hashState(match);
+      try {
+        save.deserializeGame(save.exportGame());
+        const loaded = gameData.match;
+        loaded.recorder.stop();
+        if (hashState(loaded) !== hash) throw Error("The loaded match isn't the saved one");
+        if (loaded.recorder.recording.frames.length <= 1) throw Error("Nothing was recorded");
+
+        const replay = new ReplayPlayer(JSON.stringify(loaded.recorder));
+        const check = (frame) => {
+          if (hashes.has(frame.index) && hashes.get(frame.index) !== hashDices()) {
+            throw Error(`The dices differ at ${replay.describe(frame)}`);
+          }
+        };
+        check(replay.seek(0));
+        while (!replay.isAtEnd) check(replay.stepForward());
+        // Stepping backward restores the earlier frames
+        while (!replay.isAtStart) check(replay.stepBackward());
+      } finally {
+        gameData.match = null;
+      }
+    }),
+
+  scenario("A draft of two computers takes turns to ban, then picks in a snake order")
+    .step("draft until the first round", () => {
+      const match = new Match({ seed: 1, seats: ["greedy", "random"], record: false, draft: true, turnDelay: 0 });
+      match.start();
+      const turns = [];
+      while (match.phase === Match.phases.draft) {
+        turns.push(`${players.indexOf(match.currentPlayer)} ${match.draft.currentAction}`);
+        match.update(0);
+      }
+      const expected = ["0 ban", "1 ban", ...[0, 1, 1, 0, 0, 1, 1, 0, 0, 1, 1, 0].map((player) => `${player} pick`)];
+      if (turns.join(",") !== expected.join(",")) throw Error(`Turns were ${turns.join(", ")}`);
+      if (match.round !== 1 || match.phase !== Match.phases.roll) throw Error(`Round ${match.round}, ${match.phase}`);
+
+      const banned = match.draft.bans.map((config) => config.name);
+      players.forEach((player, index) => {
+        // Champions come first in a loadout
+        const names = player.dices.map((dice) => dice.name).sort();
+        const picked = match.draft.picks[index].map((config) => config.name).sort();
+        const champions = player.dices.filter((dice) => dice.type === Dice.type.champion).length;
+        if (names.join(",") !== picked.join(",") || champions !== 2 || names.length !== 6) {
+          throw Error(`${player} has ${names.join(", ")} for the picks ${picked.join(", ")}`);
+        }
+        if (new Set(names).size !== names.length || names.some((name) => banned.includes(name))) {
+          throw Error(`${player} has ${names.join(", ")} with the bans ${banned.join(", ")}`);
+        }
+      });
+    }),
+
+  scenario("Players are named after their controllers and the number of seats")
+    .step("create the players of several matches", () => {
+      const computer = (number) => i18n.t("players.computer", { number: number });
+      const cases = [
+        [[null, "greedy"], [i18n.t("players.you"), i18n.t("players.opponent")]],
+        [[null, "greedy", "random"], [i18n.t("players.you"), computer(2), computer(3)]],
+        [["greedy", "random"], [computer(1), computer(2)]],
+        [
+          [{ controller: Player.controllers.human }, { controller: Player.controllers.human }, "greedy"],
+          [i18n.t("players.player", { number: 1 }), i18n.t("players.player", { number: 2 }), computer(3)],
+        ],
+        [
+          [null, { controller: Player.controllers.remote }, { controller: Player.controllers.ai, name: "Bob" }],
+          [i18n.t("players.you"), i18n.t("players.remotePlayer", { number: 2 }), "Bob"],
+        ],
+      ];
+      for (const [seats, expected] of cases) {
+        resetPlayers();
+        initPlayers(seats, { champions: 0, minions: 0 });
+        const names = players.map((player) => player.name);
+        if (names.join(",") !== expected.join(",")) throw Error(`Players are ${names.join(", ")}`);
+      }
+    }),
+
+  scenario("Teams of two are allies whatever their seats")
+    .player("A", ["Warrior"], { team: 1 })
+    .player("C", ["Rogue"], { team: 2 })
+    .player("B", ["Rogue"], { team: 1 })
+    .player("D", ["Rogue"], { team: 2 })
+    .step("check who is an ally of whom", (context) => {
+      const names = ["A", "B", "C", "D"];
+      const allies = names.map((name) =>
+        names.filter((other) => context.getPlayer(name).isAllyOf(context.getPlayer(other))).join("")
+      );
+      if (allies.join(",") !== "AB,AB,CD,CD") throw Error(`Allies are ${allies.join(", ")}`);
+      const sides = new Match({ record: false }).getSides().map((side) => side.map((player) => player.name).join(""));
+      if (sides.join(",") !== "AB,CD") throw Error(`Sides are ${sides.join(", ")}`);
+    })
+    .force("B.Rogue", 4)
+    .force("C.Rogue", 4)
+    .force("D.Rogue", 4)
+    .roll("B.Rogue")
+    .roll("C.Rogue")
+    .roll("D.Rogue")
+    // A's Warrior lowers the rolls of both enemies, not the roll of its ally
+    .expect("B.Rogue", { value: 4 })
+    .expect("C.Rogue", { value: 3 })
+    .expect("D.Rogue", { value: 3 }),
+
+  scenario("Names and identifiers don't draw from the seeded generator")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("create an unnamed dice and player and register an ability", () => {
+      const state = JSON.stringify(utils.getRandomState());
+      new Player().addDice(new Dice());
+      new Dice().addAbility(Dice.events.roll, () => {});
+      const after = JSON.stringify(utils.getRandomState());
+      if (after !== state) throw Error(`Generator moved from ${state} to ${after}`);
+    }),
+
+  scenario("Advantage skews the distribution of weighted faces towards the highest")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("give A.Rogue the faces 1, 2 and skull, weighted 2, 1, 1", (context) =>
+      context.getDice("A.Rogue").setFaces([1, 2, "skull"], [2, 1, 1])
+    )
+    .step("check the distribution of A.Rogue", (context) => {
+      const distribution = describeDistribution(context.getDice("A.Rogue"));
+      if (distribution !== "skull:0.25,1:0.5,2:0.25") throw Error(`Distribution is ${distribution}`);
+    })
+    .step("give advantage to A.Rogue", (context) =>
+      context.getDice("A.Rogue").addStatus(StatusEffect.types.advantage, { duration: 1 })
+    )
+    // The skull face is worth 0, so it's only kept when both throws show it
+    .step("check the distribution of A.Rogue with advantage", (context) => {
+      const distribution = describeDistribution(context.getDice("A.Rogue"));
+      if (distribution !== "skull:0.0625,1:0.5,2:0.4375") throw Error(`Distribution is ${distribution}`);
+    }),
+
+  scenario("Keeping the highest of two throws favors the highest outcomes")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("roll A.Rogue twice and keep the highest", (context) =>
+      context.getDice("A.Rogue").setRollOptions({ count: 2, keep: 1 })
+    )
+    .step("check the distribution of A.Rogue", (context) => {
+      const distribution = describeDistribution(context.getDice("A.Rogue"));
+      // Chances of k are (2k - 1) / 36
+      const expected = [1, 2, 3, 4, 5, 6].map((k) => `${k}:${Number(((2 * k - 1) / 36).toFixed(4))}`).join(",");
+      if (distribution !== expected) throw Error(`Distribution is ${distribution}, expected ${expected}`);
+    }),
+
+  scenario("Postponed listeners run after the immediate ones")
+    .player("A", ["Rogue"])
+    .player("B", ["Rogue"])
+    .step("add listeners to A.Rogue", (context) => {
+      const dice = context.getDice("A.Rogue");
+      dice.addAbility("roll", function () {
+        this.value += 100;
+      });
+      dice.addAbility(
+        "roll",
+        function () {
+          this.value *= -1;
+        },
+        { immediate: false }
+      );
+      dice.addAbility("roll", function () {
+        this.value *= 10;
+      });
+    })
+    .force("A.Rogue", 3)
+    .roll("A.Rogue")
+    .expect("A.Rogue", { value: -1030 }),
+];